@@ -8,7 +8,14 @@ program
   .description('A powerful CLI for the Notion API — query databases, manage pages, and automate your workspace from the terminal.')
   .version('1.3.1')
   .option('--json', 'Output raw JSON instead of formatted tables')
-  .option('-w, --workspace <name>', 'Use a specific workspace profile');
+  .option('-w, --workspace <name>', 'Use a specific workspace profile')
+  .option('--concurrency <n>', 'API requests in flight, 1-10 (default: 3); all requests stay near Notion\'s 3 per second')
+  .option('--retry-attempts <n>', 'Attempts per API call, 1-10 (default: 3; env NOTION_RETRY_ATTEMPTS)')
+  .option('--retry-delay <ms>', 'Base backoff delay in ms, doubled each retry (default: 1000; env NOTION_RETRY_DELAY_MS)')
+  .option('--retry-budget <seconds>', 'Give up retrying a call after this long (default: 60; env NOTION_RETRY_BUDGET)')
+  .option('--verbose', 'Log each API call (method, endpoint, params, status, duration) to stderr; also NOTION_DEBUG=1')
+  .option('--trace', 'Same as --verbose')
+  .option('--trace-file <path>', 'Append one JSON line per API call attempt and retry to this file');
 
 const ctx = createContext(program);
 
@@ -24,5 +31,6 @@ require('../commands/comments').register(program, ctx);
 require('../commands/pages').register(program, ctx);
 require('../commands/import-export').register(program, ctx);
 require('../commands/upload').register(program, ctx);
+require('../commands/cache').register(program, ctx);
 
 program.parseAsync(process.argv);
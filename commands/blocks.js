@@ -3,9 +3,16 @@ module.exports = {
     const {
       getNotion,
       resolvePageId,
+      resolvePages,
+      addPageSelectionOptions,
+      resolveBlockId,
       paginate,
       jsonOutput,
+      singleOrList,
       richTextToPlain,
+      outputFormatted,
+      OUTPUT_FORMAT_NAMES,
+      getOutputFormat,
       runCommand,
       getWorkspaceConfig,
       parseInlineFormatting,
@@ -332,9 +339,10 @@ module.exports = {
     // ─── block-edit ───────────────────────────────────────────────────────────
     program
       .command('block-edit <block-id> <text>')
-      .description('Update a block\'s text content')
-      .action(async (blockId, text, opts, cmd) => runCommand('Block edit', async () => {
+      .description('Update a block\'s text content (block ID or a Notion block link)')
+      .action(async (blockRef, text, opts, cmd) => runCommand('Block edit', async () => {
         const notion = getNotion();
+        const blockId = resolveBlockId(blockRef);
         // First retrieve the block to know its type
         const block = await notion.blocks.retrieve({ block_id: blockId });
         const type = block.type;
@@ -384,24 +392,25 @@ module.exports = {
     // ─── block-delete ─────────────────────────────────────────────────────────
     program
       .command('block-delete <block-id>')
-      .description('Delete a block from a page')
-      .action(async (blockId, opts, cmd) => runCommand('Block delete', async () => {
+      .description('Delete a block from a page (block ID or a Notion block link)')
+      .action(async (blockRef, opts, cmd) => runCommand('Block delete', async () => {
         const notion = getNotion();
+        const blockId = resolveBlockId(blockRef);
         const res = await notion.blocks.delete({ block_id: blockId });
         if (jsonOutput(cmd, res)) return;
         console.log(`🗑️  Deleted block: ${blockId.slice(0, 8)}…`);
       }));
 
     // ─── append ──────────────────────────────────────────────────────────────
-    program
+    addPageSelectionOptions(program
       .command('append <page-or-alias> <text>')
       .description('Append a block to a page by ID or alias + filter')
       .option('--filter <key=value>', 'Filter to find the page (required when using an alias)')
       .option('--type <type>', 'Block type: paragraph, to_do, heading_1, heading_2, heading_3, bulleted_list_item, numbered_list_item, divider (default: paragraph)')
-      .option('--checked', 'For to_do blocks: mark as checked')
+      .option('--checked', 'For to_do blocks: mark as checked'))
       .action(async (target, text, opts, cmd) => runCommand('Append', async () => {
         const notion = getNotion();
-        const { pageId } = await resolvePageId(target, opts.filter);
+        const targets = await resolvePages(target, opts);
         
         const blockType = opts.type || 'paragraph';
         let block;
@@ -447,12 +456,15 @@ module.exports = {
           };
         }
         
-        const res = await notion.blocks.children.append({
-          block_id: pageId,
-          children: [block],
-        });
-        if (jsonOutput(cmd, res)) return;
-        console.log(`✅ Appended ${blockType} block to page ${pageId}`);
+        const results = [];
+        for (const { pageId } of targets) {
+          results.push(await notion.blocks.children.append({
+            block_id: pageId,
+            children: [block],
+          }));
+        }
+        if (jsonOutput(cmd, singleOrList(results))) return;
+        for (const { pageId } of targets) console.log(`✅ Appended ${blockType} block to page ${pageId}`);
       }));
 
     // ─── table ───────────────────────────────────────────────────────────────
@@ -516,10 +528,12 @@ module.exports = {
     // ─── table-read ──────────────────────────────────────────────────────────
     program
       .command('table-read <table-block-id>')
-      .description('Read table contents as CSV or JSON')
-      .option('--output <format>', 'Output format: table, csv, json (default: table)')
-      .action(async (tableBlockId, opts, cmd) => runCommand('Table read', async () => {
+      .description('Read table contents as a table, CSV, Markdown, JSON and more')
+      .option('--output <format>', `Output format: ${OUTPUT_FORMAT_NAMES.join(', ')} (default: table)`)
+      .action(async (tableRef, opts, cmd) => runCommand('Table read', async () => {
         const notion = getNotion();
+        if (opts.output) getOutputFormat(opts.output);
+        const tableBlockId = resolveBlockId(tableRef);
         
         // Fetch table block children (rows)
         const { results } = await paginate(
@@ -544,17 +558,20 @@ module.exports = {
           );
         }).filter(Boolean);
         
-        if (opts.output === 'json') {
-          // Convert to array of objects using first row as headers
-          const headers = rows[0];
+        if (opts.output && opts.output !== 'table') {
+          // Convert to objects using the first row as headers (blank or repeated headers get numbered)
+          const headers = [];
+          rows[0].forEach((h, i) => {
+            let name = h || `Column ${i + 1}`;
+            while (headers.includes(name)) name = `${name} (${i + 1})`;
+            headers.push(name);
+          });
           const data = rows.slice(1).map(row => {
             const obj = {};
             headers.forEach((h, i) => obj[h] = row[i] || '');
             return obj;
           });
-          console.log(JSON.stringify(data, null, 2));
-        } else if (opts.output === 'csv') {
-          rows.forEach(row => console.log(row.join(',')));
+          outputFormatted(data, headers, opts.output);
         } else {
           // Default: formatted table
           const colWidths = rows[0].map((_, i) => 
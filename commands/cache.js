@@ -0,0 +1,79 @@
+module.exports = {
+  register(program, ctx) {
+    const {
+      resolveDb,
+      getWorkspaceConfig,
+      getCacheWorkspace,
+      getSchemaCacheTtl,
+      invalidateSchemaCache,
+      SCHEMA_CACHE_PATH,
+      loadSchemaCache,
+      saveSchemaCache,
+      removeCachedSchemas,
+      printTable,
+      jsonOutput,
+    } = ctx;
+
+    /** "42s", "7m", "3h" */
+    function formatAge(ms) {
+      const seconds = Math.max(0, Math.round(ms / 1000));
+      if (seconds < 60) return `${seconds}s`;
+      if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+      return `${Math.round(seconds / 3600)}h`;
+    }
+
+    // ─── cache ─────────────────────────────────────────────────────────────────
+    const cache = program
+      .command('cache')
+      .description('Inspect or clear the on-disk database schema cache');
+
+    cache
+      .command('status')
+      .description('Show cached schemas for the active workspace')
+      .action((opts, cmd) => {
+        const workspace = getCacheWorkspace();
+        const ttl = getSchemaCacheTtl();
+        const entries = loadSchemaCache(SCHEMA_CACHE_PATH).workspaces[workspace] || {};
+        const aliasByDataSource = {};
+        for (const [name, ids] of Object.entries(getWorkspaceConfig().aliases || {})) {
+          aliasByDataSource[ids.data_source_id] = name;
+        }
+
+        const now = Date.now();
+        const rows = Object.entries(entries).map(([dataSourceId, entry]) => {
+          const age = now - new Date(entry.fetched_at).getTime();
+          return {
+            alias: aliasByDataSource[dataSourceId] || '',
+            data_source_id: dataSourceId,
+            properties: Object.keys(entry.schema || {}).length,
+            age: formatAge(age),
+            state: ttl > 0 && age < ttl * 1000 ? 'fresh' : 'expired',
+          };
+        });
+
+        if (jsonOutput(cmd, { path: SCHEMA_CACHE_PATH, workspace, ttl, entries: rows })) return;
+        console.log(`Schema cache: ${SCHEMA_CACHE_PATH}`);
+        console.log(`Workspace: ${workspace} | TTL: ${ttl > 0 ? `${ttl}s` : 'off (NOTION_SCHEMA_CACHE_TTL=0)'}`);
+        console.log('');
+        printTable(rows, ['alias', 'data_source_id', 'properties', 'age', 'state']);
+      });
+
+    cache
+      .command('clear [database]')
+      .description('Clear cached schemas: one database (alias or ID), the active workspace, or --all-workspaces')
+      .option('--all-workspaces', 'Clear the cache for every workspace')
+      .action((database, opts) => {
+        let removed;
+        if (opts.allWorkspaces) {
+          const data = loadSchemaCache(SCHEMA_CACHE_PATH);
+          removed = removeCachedSchemas(data);
+          saveSchemaCache(data, SCHEMA_CACHE_PATH);
+        } else if (database) {
+          removed = invalidateSchemaCache(resolveDb(database).data_source_id);
+        } else {
+          removed = invalidateSchemaCache();
+        }
+        console.log(`✅ Cleared ${removed} cached schema${removed !== 1 ? 's' : ''}`);
+      });
+  },
+};
@@ -2,58 +2,90 @@ module.exports = {
   register(program, ctx) {
     const {
       getNotion,
-      resolvePageId,
+      resolvePages,
+      addPageSelectionOptions,
       paginate,
       jsonOutput,
+      singleOrList,
       richTextToPlain,
       printTable,
+      getPagingOptions,
+      reportTruncation,
       runCommand,
     } = ctx;
 
     // ─── comments ────────────────────────────────────────────────────────────
-    program
+    addPageSelectionOptions(program
       .command('comments <page-or-alias>')
       .description('List comments on a page by ID or alias + filter')
       .option('--filter <key=value>', 'Filter to find the page (required when using an alias)')
+      .option('--where <expression>', 'Boolean filter expression to find the page (e.g. --where "Name=Ship it OR Name=Launch")')
+      .option('--limit <n>', 'Max comments per page (default: all)')
+      .option('--page-size <n>', 'Comments per API request, 1-100 (default: 100); without --limit, fetch one page and print the next cursor')
+      .option('--cursor <cursor>', 'Start from a cursor printed by an earlier truncated run'))
       .action(async (target, opts, cmd) => runCommand('Comments', async () => {
         const notion = getNotion();
-        const { pageId } = await resolvePageId(target, opts.filter);
-        const { results, response } = await paginate(
-          ({ start_cursor, page_size }) => notion.comments.list({
-            block_id: pageId,
-            start_cursor,
-            page_size,
-          }),
-          { pageSizeLimit: 100 },
-        );
-        if (jsonOutput(cmd, response)) return;
-        if (results.length === 0) {
-          console.log('(no comments)');
-          return;
+        const paging = getPagingOptions(opts);
+        const targets = await resolvePages(target, opts);
+        // A cursor belongs to one page's comment list
+        if (paging.startCursor && targets.length > 1) {
+          throw new Error(`--cursor needs a single page, but ${targets.length} pages match.`);
+        }
+        const responses = [];
+        const lists = [];
+        for (const { pageId } of targets) {
+          const { results, response, truncated, next_cursor } = await paginate(
+            ({ start_cursor, page_size }) => notion.comments.list({
+              block_id: pageId,
+              start_cursor,
+              page_size,
+            }),
+            paging,
+          );
+          if (truncated) {
+            if (targets.length > 1) console.error(`Page ${pageId}:`);
+            reportTruncation(paging, next_cursor);
+          }
+          responses.push(response);
+          lists.push({ pageId, results });
+        }
+        if (jsonOutput(cmd, singleOrList(responses))) return;
+        for (const [i, { pageId, results }] of lists.entries()) {
+          if (targets.length > 1) {
+            if (i > 0) console.log('');
+            console.log(`Page: ${pageId}`);
+          }
+          if (results.length === 0) {
+            console.log('(no comments)');
+            continue;
+          }
+          const rows = results.map(c => ({
+            id: c.id,
+            text: richTextToPlain(c.rich_text),
+            created: c.created_time || '',
+            author: c.created_by?.name || c.created_by?.id || '',
+          }));
+          printTable(rows, ['id', 'text', 'created', 'author']);
         }
-        const rows = results.map(c => ({
-          id: c.id,
-          text: richTextToPlain(c.rich_text),
-          created: c.created_time || '',
-          author: c.created_by?.name || c.created_by?.id || '',
-        }));
-        printTable(rows, ['id', 'text', 'created', 'author']);
       }));
 
     // ─── comment ─────────────────────────────────────────────────────────────
-    program
+    addPageSelectionOptions(program
       .command('comment <page-or-alias> <text>')
       .description('Add a comment to a page by ID or alias + filter')
-      .option('--filter <key=value>', 'Filter to find the page (required when using an alias)')
+      .option('--filter <key=value>', 'Filter to find the page (required when using an alias)'))
       .action(async (target, text, opts, cmd) => runCommand('Comment', async () => {
         const notion = getNotion();
-        const { pageId } = await resolvePageId(target, opts.filter);
-        const res = await notion.comments.create({
-          parent: { page_id: pageId },
-          rich_text: [{ text: { content: text } }],
-        });
-        if (jsonOutput(cmd, res)) return;
-        console.log(`✅ Comment added: ${res.id}`);
+        const targets = await resolvePages(target, opts);
+        const results = [];
+        for (const { pageId } of targets) {
+          results.push(await notion.comments.create({
+            parent: { page_id: pageId },
+            rich_text: [{ text: { content: text } }],
+          }));
+        }
+        if (jsonOutput(cmd, singleOrList(results))) return;
+        for (const res of results) console.log(`✅ Comment added: ${res.id}`);
       }));
   },
 };
@@ -10,6 +10,10 @@ module.exports = {
       createNotionClient,
       richTextToPlain,
       printTable,
+      parseColumnList,
+      normalizeNotionId,
+      resolveRetryPolicy,
+      RETRY_SETTINGS,
       runCommand,
     } = ctx;
 
@@ -118,8 +122,13 @@ module.exports = {
 
     alias
       .command('add <name> <database-id>')
-      .description('Add a database alias (auto-discovers data_source_id)')
-      .action(async (name, databaseId) => runCommand('Alias add', async () => {
+      .description('Add a database alias from an ID or database URL (auto-discovers data_source_id)')
+      .action(async (name, databaseRef) => runCommand('Alias add', async () => {
+        const databaseId = normalizeNotionId(databaseRef);
+        if (!databaseId) {
+          console.error(`Invalid database ID: "${databaseRef}". Pass a database ID or its Notion URL.`);
+          process.exit(1);
+        }
         const config = loadConfig();
         const wsName = getWorkspaceName() || config.activeWorkspace || 'default';
         if (!config.workspaces[wsName]) config.workspaces[wsName] = { aliases: {} };
@@ -246,6 +255,46 @@ module.exports = {
         console.log(`✅ Renamed "${oldName}" → "${newName}" in workspace "${wsName}"`);
       });
 
+    alias
+      .command('columns <name> [columns]')
+      .description('Show or set the default query columns for an alias (e.g. notion alias columns tasks "Name,Status,Due")')
+      .option('--clear', 'Remove the default column set')
+      .action((name, columns, opts) => {
+        const config = loadConfig();
+        const wsName = getWorkspaceName() || config.activeWorkspace || 'default';
+        const aliases = config.workspaces[wsName]?.aliases || {};
+        if (!aliases[name]) {
+          console.error(`Alias "${name}" not found in workspace "${wsName}".`);
+          const names = Object.keys(aliases);
+          if (names.length > 0) {
+            console.error(`Available: ${names.join(', ')}`);
+          }
+          process.exit(1);
+        }
+
+        if (opts.clear) {
+          delete aliases[name].columns;
+          saveConfig(config);
+          console.log(`✅ Cleared default columns for "${name}"`);
+          return;
+        }
+
+        if (columns === undefined) {
+          const current = aliases[name].columns;
+          console.log(current && current.length > 0 ? current.join(', ') : '(all columns)');
+          return;
+        }
+
+        const list = parseColumnList(columns);
+        if (list.length === 0) {
+          console.error('Provide a comma-separated column list, or use --clear.');
+          process.exit(1);
+        }
+        aliases[name].columns = list;
+        saveConfig(config);
+        console.log(`✅ Default columns for "${name}": ${list.join(', ')}`);
+      });
+
     // ─── workspace ─────────────────────────────────────────────────────────────
     const workspace = program
       .command('workspace')
@@ -307,6 +356,47 @@ module.exports = {
         console.log(`✅ Active workspace: ${name}`);
       });
 
+    workspace
+      .command('retry <name>')
+      .description('Show or set the retry policy for a workspace (flags and NOTION_RETRY_* env vars still win)')
+      .option('--attempts <n>', 'Attempts per API call, 1-10')
+      .option('--delay <ms>', 'Base backoff delay in milliseconds')
+      .option('--budget <seconds>', 'Give up retrying a call after this many seconds')
+      .option('--reset', 'Go back to the defaults')
+      .action((name, opts) => {
+        const config = loadConfig();
+        const ws = config.workspaces[name];
+        if (!ws) {
+          console.error(`Workspace "${name}" not found.`);
+          process.exit(1);
+        }
+
+        const updates = { attempts: opts.attempts, delayMs: opts.delay, budgetSeconds: opts.budget };
+        const changed = Object.entries(updates).filter(([, value]) => value != null);
+        if (opts.reset || changed.length > 0) {
+          const retry = opts.reset ? {} : { ...(ws.retry || {}) };
+          for (const [key, value] of changed) retry[key] = value;
+          const { error } = resolveRetryPolicy({ config: retry });
+          if (error) {
+            console.error(error);
+            process.exit(1);
+          }
+          for (const [key] of changed) retry[key] = Number(retry[key]);
+          if (Object.keys(retry).length > 0) ws.retry = retry;
+          else delete ws.retry;
+          saveConfig(config);
+          console.log(`✅ Updated retry policy for "${name}"`);
+        }
+
+        const policy = resolveRetryPolicy({ config: ws.retry });
+        console.log(`Retry policy for "${name}":`);
+        for (const setting of RETRY_SETTINGS) {
+          const value = policy[setting.key] / (setting.scale || 1);
+          const source = ws.retry && ws.retry[setting.config] != null ? '' : ' (default)';
+          console.log(`  ${setting.config}: ${value}${source}`);
+        }
+      });
+
     workspace
       .command('remove <name>')
       .description('Remove a workspace profile')
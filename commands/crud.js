@@ -6,12 +6,20 @@ module.exports = {
     const {
       getNotion,
       resolveDb,
-      resolvePageId,
+      resolvePages,
+      addPageSelectionOptions,
+      addBulkOptions,
+      runBulk,
+      fetchLinkedPages,
       getDbSchema,
       buildProperties,
+      buildPropertyUpdate,
+      preparePageUpdate,
       jsonOutput,
+      singleOrList,
       richTextToPlain,
       propValue,
+      registeredFlagNames,
       extractDynamicProps,
       markdownToBlocks,
       runCommand,
@@ -23,6 +31,7 @@ module.exports = {
       .description('Add a new page to a database (e.g. notion add tasks --name "Ship it" --status "Done")')
       .option('--prop <key=value...>', 'Property value — repeatable (e.g. --prop "Name=Hello")', (v, prev) => prev.concat([v]), [])
       .option('--from <file>', 'Import content from a .md file as page body')
+      .option('--raw', 'Write title and text values literally (no inline markdown or @mentions)')
       .allowUnknownOption()
       .allowExcessArguments()
       .action(async (db, opts, cmd) => runCommand('Add', async () => {
@@ -31,8 +40,7 @@ module.exports = {
 
         // Merge --prop flags with dynamic property flags (--name, --status, etc.)
         const schema = await getDbSchema(dbIds);
-        const knownFlags = ['prop', 'from', 'json', 'workspace', 'w', 'filter', 'limit', 'sort', 'output'];
-        const dynamicProps = extractDynamicProps(process.argv, knownFlags, schema);
+        const dynamicProps = extractDynamicProps(process.argv, registeredFlagNames(cmd), schema);
         const allProps = [...(opts.prop || []), ...dynamicProps];
 
         if (allProps.length === 0) {
@@ -44,7 +52,7 @@ module.exports = {
           process.exit(1);
         }
 
-        const properties = await buildProperties(dbIds, allProps);
+        const properties = await buildProperties(dbIds, allProps, { raw: opts.raw });
         const res = await notion.pages.create({
           parent: { type: 'data_source_id', data_source_id: dbIds.data_source_id },
           properties,
@@ -84,111 +92,154 @@ module.exports = {
       }));
 
     // ─── update ────────────────────────────────────────────────────────────────
-    program
+    addBulkOptions(addPageSelectionOptions(program
       .command('update <page-or-alias>')
-      .description('Update a page\'s properties by ID or alias + filter (e.g. notion update tasks --filter "Name=Ship it" --status "Done")')
+      .description('Update a page\'s properties by ID or alias + filter (e.g. notion update tasks --filter "Name=Ship it" --status "Done" --prop "Count+=1")')
       .option('--filter <key=value...>', 'Filter to find the page — repeatable for AND (required with alias)', (v, prev) => prev.concat([v]), [])
+      .option('--where <expression>', 'Boolean filter expression to find the page (e.g. --where "Name=Ship it AND NOT Status=Done")')
       .option('--prop <key=value...>', 'Property value — repeatable', (v, prev) => prev.concat([v]), [])
+      .option('--set <key=value...>', 'Same as --prop, reads better in bulk updates (e.g. --set "Archived=true" --all)', (v, prev) => prev.concat([v]), [])
+      .option('--clear <property>', 'Empty a property — repeatable (same as --prop "Property=")', (v, prev) => prev.concat([v]), [])
+      .option('--raw', 'Write title and text values literally (no inline markdown or @mentions)')))
       .allowUnknownOption()
       .allowExcessArguments()
       .action(async (target, opts, cmd) => runCommand('Update', async () => {
         const notion = getNotion();
-        const { pageId, dbIds: resolvedDbIds } = await resolvePageId(target, opts.filter);
-        let dbIds = resolvedDbIds;
-        if (!dbIds) {
-          const page = await notion.pages.retrieve({ page_id: pageId });
-          const dsId = page.parent?.data_source_id;
-          if (!dsId) {
-            console.error('Page is not in a database — cannot auto-detect property types.');
+        const targets = await resolvePages(target, opts);
+
+        /** Merge --prop / --set / --clear flags with dynamic property flags against one database's schema */
+        async function buildUpdate(dbIds) {
+          const schema = await getDbSchema(dbIds);
+          const dynamicProps = extractDynamicProps(process.argv, registeredFlagNames(cmd), schema);
+          const allProps = [
+            ...(opts.prop || []),
+            ...(opts.set || []),
+            ...dynamicProps,
+            ...(opts.clear || []).map(name => `${name}=`),
+          ];
+
+          if (allProps.length === 0) {
+            console.error('No properties to update. Use property flags, --prop, --set or --clear:');
+            console.error(`  notion update ${target} --filter "Name=..." --status "Done"`);
             process.exit(1);
           }
-          dbIds = { data_source_id: dsId, database_id: page.parent?.database_id || dsId };
+          return { ...(await buildPropertyUpdate(dbIds, allProps, { raw: opts.raw })), changes: allProps };
         }
-        // Merge --prop flags with dynamic property flags
-        const schema = await getDbSchema(dbIds);
-        const knownFlags = ['prop', 'filter', 'json', 'workspace', 'w', 'limit', 'sort', 'output'];
-        const dynamicProps = extractDynamicProps(process.argv, knownFlags, schema);
-        const allProps = [...(opts.prop || []), ...dynamicProps];
 
-        if (allProps.length === 0) {
-          console.error('No properties to update. Use property flags or --prop:');
-          console.error(`  notion update ${target} --filter "Name=..." --status "Done"`);
-          process.exit(1);
+        // --all by title can span databases, so properties are built once per data source
+        const updatesBySource = new Map();
+        async function updateFor({ pageId, dbIds: resolvedDbIds }) {
+          let dbIds = resolvedDbIds;
+          if (!dbIds) {
+            const page = await notion.pages.retrieve({ page_id: pageId });
+            const dsId = page.parent?.data_source_id;
+            if (!dsId) throw new Error('Page is not in a database — cannot auto-detect property types.');
+            dbIds = { data_source_id: dsId, database_id: page.parent?.database_id || dsId };
+          }
+          if (!updatesBySource.has(dbIds.data_source_id)) {
+            updatesBySource.set(dbIds.data_source_id, buildUpdate(dbIds));
+          }
+          return updatesBySource.get(dbIds.data_source_id);
         }
 
-        const properties = await buildProperties(dbIds, allProps);
-        const res = await notion.pages.update({ page_id: pageId, properties });
-        if (jsonOutput(cmd, res)) return;
-        console.log(`✅ Updated page: ${res.id}`);
+        if (opts.all || opts.dryRun) {
+          // Validate the values before touching any page when the database is known
+          const first = targets[0].dbIds ? await updateFor(targets[0]) : null;
+          await runBulk(targets, opts, cmd, {
+            action: 'update',
+            verb: 'updated',
+            change: first && first.changes.join(', '),
+            worker: async t => notion.pages.update({ page_id: t.pageId, properties: await preparePageUpdate(t.pageId, await updateFor(t)) }),
+          });
+          return;
+        }
+
+        const results = [];
+        for (const t of targets) {
+          const properties = await preparePageUpdate(t.pageId, await updateFor(t));
+          results.push(await notion.pages.update({ page_id: t.pageId, properties }));
+        }
+        if (jsonOutput(cmd, singleOrList(results))) return;
+        for (const res of results) console.log(`✅ Updated page: ${res.id}`);
       }));
 
     // ─── delete (archive) ──────────────────────────────────────────────────────
-    program
+    addBulkOptions(addPageSelectionOptions(program
       .command('delete <page-or-alias>')
-      .description('Delete (archive) a page by ID or alias + filter')
-      .option('--filter <key=value>', 'Filter to find the page (required when using an alias)')
+      .description('Delete (archive) a page by ID or alias + filter; --all archives every match')
+      .option('--filter <key=value...>', 'Filter to find the page — repeatable for AND (required with alias)', (v, prev) => prev.concat([v]), [])
+      .option('--where <expression>', 'Boolean filter expression to find the page (e.g. --where "Status=Done AND Due<-30d")')))
       .action(async (target, opts, cmd) => runCommand('Delete', async () => {
         const notion = getNotion();
-        const { pageId } = await resolvePageId(target, opts.filter);
-        const res = await notion.pages.update({ page_id: pageId, archived: true });
-        if (jsonOutput(cmd, res)) return;
-        console.log('🗑️  Archived page: ' + res.id);
-        console.log('   (Restore it from the trash in Notion if needed)');
+        const targets = await resolvePages(target, opts);
+        const archive = ({ pageId }) => notion.pages.update({ page_id: pageId, archived: true });
+
+        if (opts.all || opts.dryRun) {
+          await runBulk(targets, opts, cmd, {
+            action: 'archive',
+            verb: 'archived',
+            note: '   (Restore them from the trash in Notion if needed)',
+            worker: archive,
+          });
+          return;
+        }
+
+        const results = [];
+        for (const t of targets) results.push(await archive(t));
+        if (jsonOutput(cmd, singleOrList(results))) return;
+        for (const res of results) {
+          console.log('🗑️  Archived page: ' + res.id);
+          console.log('   (Restore it from the trash in Notion if needed)');
+        }
       }));
 
     // ─── get ──────────────────────────────────────────────────────────────────
-    program
+    addPageSelectionOptions(program
       .command('get <page-or-alias>')
       .description('Get a page\'s properties by ID or alias + filter')
       .option('--filter <key=value>', 'Filter to find the page (required when using an alias)')
+      .option('--where <expression>', 'Boolean filter expression to find the page (e.g. --where "Name=Ship it OR Name=Launch")'))
       .action(async (target, opts, cmd) => runCommand('Get', async () => {
         const notion = getNotion();
-        const { pageId } = await resolvePageId(target, opts.filter);
-        const page = await notion.pages.retrieve({ page_id: pageId });
-        if (jsonOutput(cmd, page)) return;
-        console.log(`Page: ${page.id}`);
-        console.log(`URL:  ${page.url}`);
-        console.log(`Created: ${page.created_time}`);
-        console.log(`Updated: ${page.last_edited_time}`);
-        console.log('');
-        console.log('Properties:');
-        for (const [name, prop] of Object.entries(page.properties)) {
-          if (prop.type === 'relation') {
-            const rels = prop.relation || [];
-            if (rels.length === 0) {
-              console.log(`  ${name}: (none)`);
-            } else {
-              // Resolve relation titles
-              const titles = [];
-              for (const rel of rels) {
-                try {
-                  const linked = await notion.pages.retrieve({ page_id: rel.id });
-                  let t = '';
-                  for (const [, p] of Object.entries(linked.properties)) {
-                    if (p.type === 'title') { t = propValue(p); break; }
-                  }
-                  titles.push(t || rel.id.slice(0, 8) + '…');
-                } catch {
-                  titles.push(rel.id.slice(0, 8) + '…');
-                }
+        const targets = await resolvePages(target, opts);
+        const pages = [];
+        for (const { pageId } of targets) pages.push(await notion.pages.retrieve({ page_id: pageId }));
+        if (jsonOutput(cmd, singleOrList(pages))) return;
+        for (const [i, page] of pages.entries()) {
+          if (i > 0) console.log('');
+          console.log(`Page: ${page.id}`);
+          console.log(`URL:  ${page.url}`);
+          console.log(`Created: ${page.created_time}`);
+          console.log(`Updated: ${page.last_edited_time}`);
+          console.log('');
+          console.log('Properties:');
+          for (const [name, prop] of Object.entries(page.properties)) {
+            if (prop.type === 'relation') {
+              const rels = prop.relation || [];
+              if (rels.length === 0) {
+                console.log(`  ${name}: (none)`);
+              } else {
+                // Resolve relation titles
+                const linked = await fetchLinkedPages(rels.map(rel => rel.id));
+                const titles = linked.map(l => l.title || l.id.slice(0, 8) + '…');
+                console.log(`  ${name}: ${titles.join(', ')}`);
+              }
+            } else if (prop.type === 'rollup') {
+              const r = prop.rollup;
+              if (!r) {
+                console.log(`  ${name}: (empty)`);
+              } else if (r.type === 'number') {
+                console.log(`  ${name}: ${r.number != null ? r.number : '(empty)'}`);
+              } else if (r.type === 'date') {
+                console.log(`  ${name}: ${r.date ? r.date.start : '(empty)'}`);
+              } else if (r.type === 'array' && r.array) {
+                console.log(`  ${name}: ${r.array.map(item => propValue(item)).join(', ')}`);
+              } else {
+                console.log(`  ${name}: ${JSON.stringify(r)}`);
               }
-              console.log(`  ${name}: ${titles.join(', ')}`);
-            }
-          } else if (prop.type === 'rollup') {
-            const r = prop.rollup;
-            if (!r) {
-              console.log(`  ${name}: (empty)`);
-            } else if (r.type === 'number') {
-              console.log(`  ${name}: ${r.number != null ? r.number : '(empty)'}`);
-            } else if (r.type === 'date') {
-              console.log(`  ${name}: ${r.date ? r.date.start : '(empty)'}`);
-            } else if (r.type === 'array' && r.array) {
-              console.log(`  ${name}: ${r.array.map(item => propValue(item)).join(', ')}`);
             } else {
-              console.log(`  ${name}: ${JSON.stringify(r)}`);
+              console.log(`  ${name}: ${propValue(prop)}`);
             }
-          } else {
-            console.log(`  ${name}: ${propValue(prop)}`);
           }
         }
       }));
@@ -3,6 +3,7 @@ module.exports = {
     const {
       getNotion,
       resolveDb,
+      resolvePageId,
       loadConfig,
       saveConfig,
       getWorkspaceName,
@@ -11,6 +12,7 @@ module.exports = {
       propValue,
       printTable,
       paginate,
+      invalidateSchemaCache,
       runCommand,
     } = ctx;
 
@@ -82,8 +84,9 @@ module.exports = {
       .description('Create a new database under a page')
       .option('--prop <name:type...>', 'Property definition — repeatable (e.g. --prop "Status:select" --prop "Priority:number")', (v, prev) => prev.concat([v]), [])
       .option('--alias <name>', 'Auto-create an alias for the new database')
-      .action(async (parentPageId, title, opts, cmd) => runCommand('Database create', async () => {
+      .action(async (parentRef, title, opts, cmd) => runCommand('Database create', async () => {
         const notion = getNotion();
+        const { pageId: parentPageId } = await resolvePageId(parentRef);
 
         // Build properties — always include a title property
         const properties = {};
@@ -142,6 +145,7 @@ module.exports = {
             properties: extraProps,
           });
         }
+        invalidateSchemaCache(dataSourceId);
 
         if (jsonOutput(cmd, res)) return;
 
@@ -228,6 +232,7 @@ module.exports = {
             data_source_id: dataSourceId,
             properties: propChanges,
           });
+          invalidateSchemaCache(dataSourceId);
         }
 
         if (jsonOutput(cmd, res)) return;
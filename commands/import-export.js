@@ -6,8 +6,11 @@ module.exports = {
     const {
       getNotion,
       resolveDb,
+      resolvePageId,
       getDbSchema,
       buildProperties,
+      getConcurrency,
+      runConcurrent,
       parseCsv,
       markdownToBlocks,
       blocksToMarkdown,
@@ -19,7 +22,7 @@ module.exports = {
       .command('import <file>')
       .description('Import data from a file (.csv/.json → database pages, .md → page content)')
       .option('--to <database>', 'Target database alias for CSV/JSON import')
-      .option('--parent <page-id>', 'Parent page for markdown import')
+      .option('--parent <page>', 'Parent page for markdown import (page ID, URL or title:"Page")')
       .option('--title <text>', 'Page title for markdown import')
       .action(async (file, opts, cmd) => runCommand('Import', async () => {
         const filePath = path.resolve(file);
@@ -58,31 +61,33 @@ module.exports = {
 
           console.log(`Importing ${rows.length} row${rows.length !== 1 ? 's' : ''} to ${opts.to}...`);
 
-          let created = 0;
-          let failed = 0;
-          for (const row of rows) {
-            try {
-              // Map row keys to schema properties
-              const propStrs = [];
-              for (const [key, value] of Object.entries(row)) {
-                if (value === '' || value === null || value === undefined) continue;
-                const schemaEntry = schema[key.toLowerCase()];
-                if (schemaEntry) {
-                  propStrs.push(`${schemaEntry.name}=${value}`);
-                }
+          // Rows are created in parallel; the request scheduler keeps the API rate in check
+          const results = await runConcurrent(rows, getConcurrency(), async (row) => {
+            // Map row keys to schema properties
+            const propStrs = [];
+            for (const [key, value] of Object.entries(row)) {
+              if (value === '' || value === null || value === undefined) continue;
+              const schemaEntry = schema[key.toLowerCase()];
+              if (schemaEntry) {
+                propStrs.push(`${schemaEntry.name}=${value}`);
               }
-              if (propStrs.length === 0) continue;
-
-              const properties = await buildProperties(dbIds, propStrs);
-              await notion.pages.create({
-                parent: { type: 'data_source_id', data_source_id: dbIds.data_source_id },
-                properties,
-              });
-              created++;
-            } catch (err) {
-              failed++;
-              if (failed <= 3) console.error(`  Row failed: ${err.message}`);
             }
+            if (propStrs.length === 0) return false;
+
+            // Imported values are data: write them as-is, without inline markdown or @mentions
+            const properties = await buildProperties(dbIds, propStrs, { raw: true });
+            await notion.pages.create({
+              parent: { type: 'data_source_id', data_source_id: dbIds.data_source_id },
+              properties,
+            });
+            return true;
+          });
+
+          const created = results.filter(r => r.ok && r.value).length;
+          const failures = results.filter(r => !r.ok);
+          const failed = failures.length;
+          for (const { error } of failures.slice(0, 3)) {
+            console.error(`  Row failed: ${error.message}`);
           }
 
           console.log(`✅ Imported ${created} page${created !== 1 ? 's' : ''}${failed > 0 ? ` (${failed} failed)` : ''}`);
@@ -92,11 +97,11 @@ module.exports = {
           const notion = getNotion();
           const title = opts.title || path.basename(filePath, ext);
 
-          let parentId = opts.parent;
+          let parentId = opts.parent ? (await resolvePageId(opts.parent)).pageId : null;
           if (!parentId && opts.to) {
             // If --to is an alias, create as a database page
             const dbIds = resolveDb(opts.to);
-            const properties = await buildProperties(dbIds, [`Name=${title}`]);
+            const properties = await buildProperties(dbIds, [`Name=${title}`], { raw: true });
             const res = await notion.pages.create({
               parent: { type: 'data_source_id', data_source_id: dbIds.data_source_id },
               properties,
@@ -4,7 +4,10 @@ module.exports = {
       getNotion,
       getWorkspaceConfig,
       resolvePageId,
-      UUID_REGEX,
+      normalizeNotionId,
+      parseTitleReference,
+      resolvePageTitle,
+      fetchLinkedPages,
       jsonOutput,
       propValue,
       printTable,
@@ -21,19 +24,8 @@ module.exports = {
       .action(async (parentId, title, opts, cmd) => runCommand('Page create', async () => {
         const notion = getNotion();
         
-        // Resolve parent if it looks like a page reference
-        let resolvedParentId = parentId;
-        if (!UUID_REGEX.test(parentId)) {
-          // Try to resolve as a page via filter
-          try {
-            const { pageId } = await resolvePageId(parentId, opts.filter);
-            resolvedParentId = pageId;
-          } catch {
-            console.error(`Could not resolve parent: "${parentId}"`);
-            console.error('Provide a valid page ID (UUID format).');
-            process.exit(1);
-          }
-        }
+        // Parent may be a page ID, compact ID, Notion URL or title:"Page"
+        const { pageId: resolvedParentId } = await resolvePageId(parentId);
         
         const pageData = {
           parent: { page_id: resolvedParentId },
@@ -86,26 +78,12 @@ module.exports = {
             console.log(`\n${name}: ${rels.length} linked page${rels.length !== 1 ? 's' : ''}`);
 
             // Resolve each related page title
-            const rows = [];
-            for (const rel of rels) {
-              try {
-                const linked = await notion.pages.retrieve({ page_id: rel.id });
-                let title = '';
-                for (const [, p] of Object.entries(linked.properties)) {
-                  if (p.type === 'title') {
-                    title = propValue(p);
-                    break;
-                  }
-                }
-                rows.push({
-                  id: rel.id.slice(0, 8) + '…',
-                  title: title || '(untitled)',
-                  url: linked.url || '',
-                });
-              } catch {
-                rows.push({ id: rel.id.slice(0, 8) + '…', title: '(access denied)', url: '' });
-              }
-            }
+            const linked = await fetchLinkedPages(rels.map(rel => rel.id));
+            const rows = linked.map(l => ({
+              id: l.id.slice(0, 8) + '…',
+              title: l.error ? '(access denied)' : l.title || '(untitled)',
+              url: l.url || '',
+            }));
             printTable(rows, ['id', 'title', 'url']);
           }
 
@@ -141,7 +119,7 @@ module.exports = {
       .command('move <page-or-alias>')
       .description('Move a page to a new parent (page or database)')
       .option('--filter <key=value>', 'Filter to find the page (required when using an alias)')
-      .option('--to <parent-id-or-alias>', 'Destination parent (page ID, database alias, or database ID)')
+      .option('--to <parent-id-or-alias>', 'Destination parent (page ID or URL, title:"Page", database alias, or database ID)')
       .action(async (target, opts, cmd) => runCommand('Move', async () => {
         if (!opts.to) {
           console.error('--to is required. Specify a parent page ID or database alias.');
@@ -153,15 +131,18 @@ module.exports = {
         // Resolve --to target
         let parent;
         const ws = getWorkspaceConfig();
+        const toId = normalizeNotionId(opts.to);
         if (ws.aliases && ws.aliases[opts.to]) {
           const db = ws.aliases[opts.to];
           // pages.move() requires data_source_id parent, not database_id
           parent = { type: 'data_source_id', data_source_id: db.data_source_id };
-        } else if (UUID_REGEX.test(opts.to)) {
+        } else if (parseTitleReference(opts.to)) {
+          parent = { type: 'page_id', page_id: await resolvePageTitle(parseTitleReference(opts.to)) };
+        } else if (toId) {
           // Assume page ID — user can also pass a database_id
-          parent = { type: 'page_id', page_id: opts.to };
+          parent = { type: 'page_id', page_id: toId };
         } else {
-          console.error(`Unknown destination: "${opts.to}". Use a page ID or database alias.`);
+          console.error(`Unknown destination: "${opts.to}". Use a page ID, Notion URL, title:"Page" or database alias.`);
           const aliasNames = ws.aliases ? Object.keys(ws.aliases) : [];
           if (aliasNames.length > 0) {
             console.error(`Available aliases: ${aliasNames.join(', ')}`);
@@ -209,22 +190,8 @@ module.exports = {
                   if (items.length === 0) {
                     console.log(`  ${name}: (none)`);
                   } else {
-                    const titles = [];
-                    for (const item of items) {
-                      const relId = item.relation?.id;
-                      if (relId) {
-                        try {
-                          const linked = await notion.pages.retrieve({ page_id: relId });
-                          let t = '';
-                          for (const [, p] of Object.entries(linked.properties)) {
-                            if (p.type === 'title') { t = propValue(p); break; }
-                          }
-                          titles.push(t || relId.slice(0, 8) + '…');
-                        } catch {
-                          titles.push(relId.slice(0, 8) + '…');
-                        }
-                      }
-                    }
+                    const linked = await fetchLinkedPages(items.map(item => item.relation?.id).filter(Boolean));
+                    const titles = linked.map(l => l.title || l.id.slice(0, 8) + '…');
                     console.log(`  ${name}: ${titles.join(', ')}`);
                   }
                 } else if (prop.type === 'rich_text' || prop.type === 'title') {
@@ -1,73 +1,286 @@
 module.exports = {
   register(program, ctx) {
     const {
+      loadConfig,
+      saveConfig,
+      getWorkspaceName,
+      getWorkspaceConfig,
       getNotion,
       resolveDb,
-      buildFilter,
       getDbSchema,
+      findSchemaEntry,
+      buildFilter,
+      buildSorts,
+      buildAggregationPlan,
+      aggregatePages,
       paginate,
+      paginateIter,
       pagesToRows,
+      selectColumns,
       outputFormatted,
+      OUTPUT_FORMAT_NAMES,
+      STREAM_FORMATS,
+      getOutputFormat,
+      streamFormatted,
+      templateFormat,
+      loadTemplate,
+      checkTemplateFields,
+      printTable,
+      buildViewDefinition,
+      mergeViewOptions,
+      describeView,
       getGlobalJson,
+      getPagingOptions,
+      reportTruncation,
       runCommand,
     } = ctx;
 
-    program
-      .command('query <database>')
-      .description('Query a database by alias or ID (e.g. notion query projects --filter Status=Active)')
-      .option('--filter <key=value...>', 'Filter by property — repeatable, supports operators: =, !=, >, <, >=, <= (e.g. --filter Status=Active --filter Day>5)', (v, prev) => prev.concat([v]), [])
-      .option('--sort <key:direction>', 'Sort by property (e.g. Date:desc)')
-      .option('--limit <n>', 'Max results (default: all)')
-      .option('--output <format>', 'Output format: table, csv, json, yaml (default: table)')
-      .action(async (db, opts, cmd) => runCommand('Query', async () => {
-        const notion = getNotion();
-        const dbIds = resolveDb(db);
-        const limit = opts.limit == null ? null : parseInt(opts.limit, 10);
-        if (opts.limit != null && (!Number.isFinite(limit) || limit < 0)) {
-          console.error(`Invalid --limit value: ${opts.limit}`);
-          process.exit(1);
-        }
-        const params = { data_source_id: dbIds.data_source_id };
+    /** Query options shared by `query` and `view save` */
+    function addQueryOptions(command) {
+      return command
+        .option('--filter <key=value...>', 'Filter by property — repeatable, supports operators: =, !=, ==, !==, ~, !~, ^=, $=, >, <, >=, <=, is_empty, is_not_empty (e.g. --filter Status=Active --filter Day>5)', (v, prev) => prev.concat([v]), [])
+        .option('--where <expression>', 'Boolean filter expression with AND, OR, NOT and parentheses (e.g. --where "(Status=Active OR Status=Blocked) AND Priority>=3")')
+        .option('--sort <key:direction...>', 'Sort by property or created_time/last_edited_time — repeatable, first takes precedence (e.g. --sort Priority:desc --sort Due)', (v, prev) => prev.concat([v]), [])
+        .option('--columns <names>', 'Comma-separated columns to show, in order (e.g. --columns "Name,Status,Due"); overrides the alias default')
+        .option('--exclude <names>', 'Comma-separated columns to hide (e.g. --exclude "Notes,Created")')
+        .option('--group-by <prop>', 'Group results by a property; multi_select/people give one bucket per value, dates bucket with :day, :week, :month, :quarter or :year (e.g. --group-by Due:week)')
+        .option('--agg <fn...>', 'Aggregation per group — repeatable: count, sum:Prop, avg:Prop, min:Prop, max:Prop (default: count)', (v, prev) => prev.concat([v]), [])
+        .option('--limit <n>', 'Max results (default: all)')
+        .option('--page-size <n>', 'Results per API request, 1-100 (default: 100); without --limit, fetch one page and print the next cursor')
+        .option('--output <format>', `Output format: ${OUTPUT_FORMAT_NAMES.join(', ')} (default: table)`)
+        .option('--template <string>', 'Render each row through a template instead of --output (e.g. --template "- [ ] {{Name}} (due {{Due | date:\\"MMM D\\"}})")')
+        .option('--template-file <path>', 'Read the row template from a file')
+        .option('--stream', `Write each page of results as it arrives: ${STREAM_FORMATS.join(', ')} (default: ndjson)`);
+    }
+
+    /** Run a query against a database alias or ID with parsed query options */
+    async function runQuery(db, opts, cmd) {
+      const notion = getNotion();
+      const dbIds = resolveDb(db);
+      const paging = getPagingOptions(opts);
+      if (opts.output) getOutputFormat(opts.output); // fail before any API call on typos
+      const template = loadTemplate(opts);
+      const params = { data_source_id: dbIds.data_source_id };
+
+      if ((opts.filter && opts.filter.length > 0) || opts.where) {
+        params.filter = await buildFilter(dbIds, opts.filter, opts.where);
+      }
+
+      if (opts.sort && opts.sort.length > 0) {
+        params.sorts = await buildSorts(dbIds, opts.sort);
+      }
 
-        if (opts.filter && opts.filter.length > 0) {
-          params.filter = await buildFilter(dbIds, opts.filter);
+      let plan = null;
+      if (opts.groupBy) {
+        const schema = await getDbSchema(dbIds);
+        const result = buildAggregationPlan(schema, opts.groupBy, opts.agg);
+        if (result.error) {
+          console.error(result.error);
+          if (result.available) console.error(`Available properties: ${result.available.join(', ')}`);
+          process.exit(1);
         }
+        plan = result.plan;
+        if (template) checkTemplateFields(template, aggregatePages([], plan).columns);
+        // Only fetch the properties the groups need
+        const needed = [plan.groupBy, ...plan.aggregations]
+          .filter(f => f.name && !f.timestamp)
+          .map(f => schema[f.name.toLowerCase()]);
+        const propertyIds = [...new Set(needed.map(e => e.id || e.name))];
+        if (propertyIds.length > 0) params.filter_properties = propertyIds;
+      } else if (opts.agg && opts.agg.length > 0) {
+        console.error('--agg requires --group-by.');
+        process.exit(1);
+      }
 
-        if (opts.sort) {
-          const [key, dir] = opts.sort.split(':');
-          const schema = await getDbSchema(dbIds);
-          const entry = schema[key.toLowerCase()];
-          if (!entry) {
-            console.error(`Sort property "${key}" not found.`);
-            console.error(`Available: ${Object.values(schema).map(s => s.name).join(', ')}`);
-            process.exit(1);
-          }
-          params.sorts = [{ property: entry.name, direction: dir === 'desc' ? 'descending' : 'ascending' }];
+      // Column projection: explicit --columns wins over the alias default set
+      let selectedColumns = null;
+      const columnInput = opts.columns || dbIds.columns;
+      if (!plan && (columnInput || opts.exclude)) {
+        const schema = await getDbSchema(dbIds);
+        const entries = Object.values(schema);
+        const selection = selectColumns(['id', ...entries.map(e => e.name)], {
+          columns: columnInput,
+          exclude: opts.exclude,
+        });
+        if (selection.error) {
+          console.error(selection.error);
+          console.error(`Available columns: ${selection.available.join(', ')}`);
+          process.exit(1);
         }
+        selectedColumns = selection.columns;
+        // Only fetch the selected properties (filter_properties takes property IDs)
+        const propertyIds = entries
+          .filter(e => selectedColumns.includes(e.name))
+          .map(e => e.id || e.name);
+        if (propertyIds.length > 0) params.filter_properties = propertyIds;
+      }
 
-        const { results, response, truncated } = await paginate(
-          ({ start_cursor, page_size }) => notion.dataSources.query({ ...params, start_cursor, page_size }),
-          { limit, pageSizeLimit: 100 },
-        );
-        if (truncated) {
-          console.error(`Warning: results truncated to ${limit}. Use --limit to increase or omit to fetch all results.`);
+      // Templates see the row values plus id and url; without --columns only fetch what they use
+      if (template && !plan) {
+        const schema = await getDbSchema(dbIds);
+        const entries = Object.values(schema);
+        checkTemplateFields(template, selectedColumns
+          ? ['url', ...selectedColumns]
+          : ['id', 'url', ...entries.map(e => e.name)]);
+        if (!selectedColumns) {
+          const propertyIds = entries
+            .filter(e => template.fields.some(f => findSchemaEntry(schema, f) === e))
+            .map(e => e.id || e.name);
+          if (propertyIds.length > 0) params.filter_properties = propertyIds;
         }
+      }
+      const toRows = template
+        ? pages => pagesToRows(pages).map((row, i) => ({ url: pages[i].url || '', ...row }))
+        : pagesToRows;
 
-        // Determine output format: --output takes precedence, --json is shorthand
-        const format = opts.output || (getGlobalJson(cmd) ? 'json' : 'table');
+      // Determine output format: --template or --output take precedence, --json is shorthand
+      const format = template
+        ? templateFormat(template)
+        : opts.output || (opts.stream ? 'ndjson' : getGlobalJson(cmd) ? 'json' : 'table');
+      const fetchPage = ({ start_cursor, page_size }) => notion.dataSources.query({ ...params, start_cursor, page_size });
 
-        if (format === 'json') {
-          console.log(JSON.stringify(response, null, 2));
-          return;
+      // ndjson streams rows as pages arrive; grouped output needs every page first
+      if (opts.stream || (format === 'ndjson' && !plan)) {
+        if (plan) {
+          console.error('--stream cannot be combined with --group-by: groups need every page first.');
+          process.exit(1);
         }
+        if (!template && !STREAM_FORMATS.includes(format)) {
+          console.error(`Cannot stream ${format} output. Streaming formats: ${STREAM_FORMATS.join(', ')}`);
+          process.exit(1);
+        }
+        const { last } = await streamFormatted(paginateIter(fetchPage, paging), format, {
+          toRows,
+          columns: selectedColumns,
+        });
+        if (last && last.truncated) reportTruncation(paging, last.next_cursor);
+        return;
+      }
 
-        const rows = pagesToRows(results);
+      const { results, response, truncated, next_cursor } = await paginate(fetchPage, paging);
+      if (truncated) reportTruncation(paging, next_cursor);
+
+      if (plan) {
+        const { rows, columns } = aggregatePages(results, plan);
         if (rows.length === 0) {
           console.log('(no results)');
           return;
         }
-        const columns = Object.keys(rows[0]);
         outputFormatted(rows, columns, format);
+        return;
+      }
+
+      if (format === 'json') {
+        console.log(JSON.stringify(response, null, 2));
+        return;
+      }
+
+      const rows = toRows(results);
+      if (template) {
+        outputFormatted(rows, selectedColumns || [], format);
+        return;
+      }
+      if (rows.length === 0) {
+        console.log('(no results)');
+        return;
+      }
+      const columns = selectedColumns || Object.keys(rows[0]);
+      outputFormatted(rows, columns, format);
+    }
+
+    // ─── query ─────────────────────────────────────────────────────────────────
+    addQueryOptions(program
+      .command('query <database>')
+      .description('Query a database by alias or ID (e.g. notion query projects --filter Status=Active)'))
+      .option('--cursor <cursor>', 'Start from a cursor printed by an earlier truncated run')
+      .action(async (db, opts, cmd) => runCommand('Query', () => runQuery(db, opts, cmd)));
+
+    // ─── view ──────────────────────────────────────────────────────────────────
+    const view = program
+      .command('view')
+      .description('Save and rerun named queries ("views") per workspace');
+
+    /** Load config plus the active workspace's views, exiting if the view is missing */
+    function loadView(name) {
+      const config = loadConfig();
+      const wsName = getWorkspaceName() || config.activeWorkspace || 'default';
+      const views = config.workspaces[wsName]?.views || {};
+      if (!views[name]) {
+        console.error(`View "${name}" not found in workspace "${wsName}".`);
+        const names = Object.keys(views);
+        if (names.length > 0) {
+          console.error(`Available: ${names.join(', ')}`);
+        } else {
+          console.error('Save one with: notion view save <name> <database> [query options]');
+        }
+        process.exit(1);
+      }
+      return { config, wsName, views };
+    }
+
+    addQueryOptions(view
+      .command('save <name> <database>')
+      .description('Save a query as a named view (e.g. notion view save active tasks --filter Status=Active --sort Due)'))
+      .action((name, db, opts) => {
+        resolveDb(db); // fail early on unknown aliases
+        const config = loadConfig();
+        const wsName = getWorkspaceName() || config.activeWorkspace || 'default';
+        if (!config.workspaces[wsName]) config.workspaces[wsName] = { aliases: {} };
+        const views = config.workspaces[wsName].views || {};
+        const existed = Boolean(views[name]);
+        views[name] = buildViewDefinition(db, opts);
+        config.workspaces[wsName].views = views;
+        saveConfig(config);
+        console.log(`✅ ${existed ? 'Updated' : 'Saved'} view "${name}" in workspace "${wsName}"`);
+        console.log(`   notion query ${describeView(views[name])}`);
+        if (opts.pageSize != null && views[name].pageSize == null) {
+          console.log('   (--page-size was not saved: views only keep it together with --limit)');
+        }
+      });
+
+    view
+      .command('list')
+      .description('Show all saved views')
+      .action(() => {
+        const ws = getWorkspaceConfig();
+        const names = Object.keys(ws.views);
+
+        if (names.length === 0) {
+          console.log(`No views in workspace "${ws.name}".`);
+          console.log('Save one with: notion view save <name> <database> [query options]');
+          return;
+        }
+
+        console.log(`Workspace: ${ws.name}\n`);
+        const rows = names.map(name => ({
+          view: name,
+          query: describeView(ws.views[name]),
+        }));
+        printTable(rows, ['view', 'query']);
+      });
+
+    view
+      .command('run <name>')
+      .description('Run a saved view; extra --filter flags are ANDed onto the saved ones')
+      .option('--filter <key=value...>', 'Additional filter — repeatable (e.g. --filter Priority>=3)', (v, prev) => prev.concat([v]), [])
+      .option('--limit <n>', 'Override the saved max results')
+      .option('--cursor <cursor>', 'Start from a cursor printed by an earlier truncated run')
+      .option('--output <format>', `Override the saved output format: ${OUTPUT_FORMAT_NAMES.join(', ')}`)
+      .action(async (name, opts, cmd) => runCommand('View run', async () => {
+        const { views } = loadView(name);
+        const merged = mergeViewOptions(views[name], opts);
+        await runQuery(views[name].database, { ...merged, cursor: opts.cursor }, cmd);
       }));
+
+    view
+      .command('remove <name>')
+      .description('Remove a saved view')
+      .action((name) => {
+        const { config, wsName, views } = loadView(name);
+        delete views[name];
+        config.workspaces[wsName].views = views;
+        saveConfig(config);
+        console.log(`✅ Removed view "${name}" from workspace "${wsName}"`);
+      });
   },
 };
@@ -2,44 +2,156 @@ module.exports = {
   register(program, ctx) {
     const {
       getNotion,
+      getWorkspaceConfig,
+      buildSearchOptions,
       paginate,
-      jsonOutput,
+      paginateIter,
+      getGlobalJson,
       richTextToPlain,
       propValue,
-      printTable,
+      outputFormatted,
+      OUTPUT_FORMAT_NAMES,
+      STREAM_FORMATS,
+      getOutputFormat,
+      streamFormatted,
+      templateFormat,
+      loadTemplate,
+      checkTemplateFields,
+      getPagingOptions,
+      reportTruncation,
+      getConcurrency,
+      runConcurrent,
       runCommand,
     } = ctx;
 
+    const COLUMNS = ['id', 'type', 'title', 'parent', 'url'];
+
+    /** Plain title of a page, data source or database object */
+    function resultTitle(r) {
+      if (r.object === 'data_source' || r.object === 'database') return richTextToPlain(r.title);
+      for (const [, prop] of Object.entries(r.properties || {})) {
+        if (prop.type === 'title') return propValue(prop);
+      }
+      return '';
+    }
+
+    /**
+     * Label the database or page a result lives in ("database: tasks", "page: Roadmap").
+     * Uses alias names and titles already seen, then fetches each unknown parent once.
+     */
+    function createParentResolver(notion) {
+      const titles = new Map();
+      for (const [name, alias] of Object.entries(getWorkspaceConfig().aliases || {})) {
+        if (alias.data_source_id) titles.set(alias.data_source_id, Promise.resolve(name));
+        if (alias.database_id) titles.set(alias.database_id, Promise.resolve(name));
+      }
+      const fetchers = {
+        data_source_id: id => notion.dataSources.retrieve({ data_source_id: id }).then(resultTitle),
+        database_id: id => notion.databases.retrieve({ database_id: id }).then(resultTitle),
+        page_id: id => notion.pages.retrieve({ page_id: id }).then(resultTitle),
+      };
+
+      function titleOf(type, id) {
+        if (!titles.has(id)) {
+          titles.set(id, fetchers[type](id).catch(() => ''));
+        }
+        return titles.get(id).then(title => title || id.slice(0, 8) + '…');
+      }
+
+      return {
+        remember(results) {
+          for (const r of results) {
+            const title = resultTitle(r);
+            if (title && !titles.has(r.id)) titles.set(r.id, Promise.resolve(title));
+          }
+        },
+        async label(r) {
+          // A data source's parent is its own database; show where the database lives instead
+          const parent = (r.object === 'data_source' && r.database_parent) || r.parent;
+          if (!parent) return '';
+          const id = parent[parent.type];
+          switch (parent.type) {
+            case 'data_source_id':
+            case 'database_id':
+              return `database: ${await titleOf(parent.type, id)}`;
+            case 'page_id':
+              return `page: ${await titleOf(parent.type, id)}`;
+            case 'block_id':
+              return `block: ${id.slice(0, 8)}…`;
+            case 'workspace':
+              return 'workspace';
+            default:
+              return parent.type;
+          }
+        },
+      };
+    }
+
     program
-      .command('search <query>')
-      .description('Search across all pages and databases shared with your integration')
+      .command('search [query]')
+      .description('Search pages and databases shared with your integration by title — omit the query to list everything')
+      .option('--type <type>', 'Only return pages or databases: page, database')
+      .option('--sort <edited:direction>', 'Sort by last edit: edited:asc or edited:desc (default: relevance)')
+      .option('--limit <n>', 'Max results (default: all)')
+      .option('--page-size <n>', 'Results per API request, 1-100 (default: 100); without --limit, fetch one page and print the next cursor')
+      .option('--cursor <cursor>', 'Start from a cursor printed by an earlier truncated run')
+      .option('--output <format>', `Output format: ${OUTPUT_FORMAT_NAMES.join(', ')} (default: table)`)
+      .option('--template <string>', 'Render each result through a template using id, type, title, parent and url (e.g. --template "{{title}} — {{url}}")')
+      .option('--template-file <path>', 'Read the result template from a file')
+      .option('--stream', `Write each page of results as it arrives: ${STREAM_FORMATS.join(', ')} (default: ndjson)`)
       .action(async (query, opts, cmd) => runCommand('Search', async () => {
         const notion = getNotion();
-        const { results, response } = await paginate(
-          ({ start_cursor, page_size }) => notion.search({ query, start_cursor, page_size }),
-          { pageSizeLimit: 100 },
-        );
-        if (jsonOutput(cmd, response)) return;
-        const rows = results.map(r => {
-          let title = '';
-          if (r.object === 'data_source' || r.object === 'database') {
-            title = richTextToPlain(r.title);
-          } else if (r.properties) {
-            for (const [, prop] of Object.entries(r.properties)) {
-              if (prop.type === 'title') {
-                title = propValue(prop);
-                break;
-              }
-            }
-          }
-          return {
+        const searchOptions = buildSearchOptions({ type: opts.type, sort: opts.sort });
+        if (searchOptions.error) {
+          console.error(searchOptions.error);
+          process.exit(1);
+        }
+        const params = { ...(query ? { query } : {}), ...searchOptions };
+        const fetchPage = ({ start_cursor, page_size }) => notion.search({ ...params, start_cursor, page_size });
+        const paging = getPagingOptions(opts);
+        if (opts.output) getOutputFormat(opts.output); // fail before any API call on typos
+        const template = loadTemplate(opts);
+        if (template) checkTemplateFields(template, COLUMNS);
+
+        // Parent labels can cost an API call each, so templates only pay for them when used
+        const parents = createParentResolver(notion);
+        const needParents = !template || template.fields.some(f => f.toLowerCase() === 'parent');
+        const toRows = async (results) => {
+          parents.remember(results);
+          // Unknown parents are fetched in parallel, paced by the request scheduler
+          const labels = needParents
+            ? await runConcurrent(results, getConcurrency(), r => parents.label(r))
+            : [];
+          return results.map((r, i) => ({
             id: r.id,
             type: r.object,
-            title: title || '(untitled)',
+            title: resultTitle(r) || '(untitled)',
+            parent: needParents && labels[i].ok ? labels[i].value : '',
             url: r.url || '',
-          };
-        });
-        printTable(rows, ['id', 'type', 'title', 'url']);
+          }));
+        };
+        const format = template ? templateFormat(template) : opts.output || (opts.stream ? 'ndjson' : null);
+
+        if (opts.stream || format === 'ndjson') {
+          if (!template && !STREAM_FORMATS.includes(format)) {
+            console.error(`Cannot stream ${format} output. Streaming formats: ${STREAM_FORMATS.join(', ')}`);
+            process.exit(1);
+          }
+          const { last } = await streamFormatted(paginateIter(fetchPage, paging), format, {
+            toRows,
+            columns: COLUMNS,
+          });
+          if (last && last.truncated) reportTruncation(paging, last.next_cursor);
+          return;
+        }
+
+        const { results, response, truncated, next_cursor } = await paginate(fetchPage, paging);
+        if (truncated) reportTruncation(paging, next_cursor);
+        if (format === 'json' || (!format && getGlobalJson(cmd))) {
+          console.log(JSON.stringify(response, null, 2));
+          return;
+        }
+        outputFormatted(await toRows(results), COLUMNS, format || 'table');
       }));
   },
 };
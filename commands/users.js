@@ -3,8 +3,16 @@ module.exports = {
     const {
       getNotion,
       paginate,
+      paginateIter,
       jsonOutput,
-      printTable,
+      getGlobalJson,
+      outputFormatted,
+      OUTPUT_FORMAT_NAMES,
+      STREAM_FORMATS,
+      getOutputFormat,
+      streamFormatted,
+      getPagingOptions,
+      reportTruncation,
       runCommand,
     } = ctx;
 
@@ -12,20 +20,42 @@ module.exports = {
     program
       .command('users')
       .description('List all users in the workspace')
+      .option('--limit <n>', 'Max results (default: all)')
+      .option('--page-size <n>', 'Results per API request, 1-100 (default: 100); without --limit, fetch one page and print the next cursor')
+      .option('--cursor <cursor>', 'Start from a cursor printed by an earlier truncated run')
+      .option('--output <format>', `Output format: ${OUTPUT_FORMAT_NAMES.join(', ')} (default: table)`)
+      .option('--stream', `Write each page of results as it arrives: ${STREAM_FORMATS.join(', ')} (default: ndjson)`)
       .action(async (opts, cmd) => runCommand('Users', async () => {
         const notion = getNotion();
-        const { results, response } = await paginate(
-          ({ start_cursor, page_size }) => notion.users.list({ start_cursor, page_size }),
-          { pageSizeLimit: 100 },
-        );
-        if (jsonOutput(cmd, response)) return;
-        const rows = results.map(u => ({
+        const fetchPage = ({ start_cursor, page_size }) => notion.users.list({ start_cursor, page_size });
+        const toRows = results => results.map(u => ({
           id: u.id,
           name: u.name || '',
           type: u.type || '',
           email: (u.person && u.person.email) || '',
         }));
-        printTable(rows, ['id', 'name', 'type', 'email']);
+        const columns = ['id', 'name', 'type', 'email'];
+        const paging = getPagingOptions(opts);
+        if (opts.output) getOutputFormat(opts.output); // fail before any API call on typos
+        const format = opts.output || (opts.stream ? 'ndjson' : null);
+
+        if (opts.stream || format === 'ndjson') {
+          if (!STREAM_FORMATS.includes(format)) {
+            console.error(`Cannot stream ${format} output. Streaming formats: ${STREAM_FORMATS.join(', ')}`);
+            process.exit(1);
+          }
+          const { last } = await streamFormatted(paginateIter(fetchPage, paging), format, { toRows, columns });
+          if (last && last.truncated) reportTruncation(paging, last.next_cursor);
+          return;
+        }
+
+        const { results, response, truncated, next_cursor } = await paginate(fetchPage, paging);
+        if (truncated) reportTruncation(paging, next_cursor);
+        if (format === 'json' || (!format && getGlobalJson(cmd))) {
+          console.log(JSON.stringify(response, null, 2));
+          return;
+        }
+        outputFormatted(toRows(results), columns, format || 'table');
       }));
 
     // ─── user ────────────────────────────────────────────────────────────────
@@ -0,0 +1,221 @@
+// lib/aggregate.js — Group-by and aggregation for query results
+
+const { findSchemaEntry, TIMESTAMP_KEYS } = require('./filters');
+const { richTextToPlain, propValue } = require('./format');
+
+const DATE_BUCKETS = ['day', 'week', 'month', 'quarter', 'year'];
+const AGG_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max'];
+const NUMERIC_TYPES = ['number', 'formula', 'rollup'];
+const DATE_TYPES = ['date', 'created_time', 'last_edited_time', 'formula', 'rollup'];
+const EMPTY_BUCKET = '(empty)';
+
+/** Resolve a property name or page timestamp (TIMESTAMP_KEYS) to { name, type } */
+function findGroupField(schema, key) {
+  const entry = findSchemaEntry(schema, key);
+  if (entry) return { name: entry.name, type: entry.type };
+  const timestamp = TIMESTAMP_KEYS[key.toLowerCase()];
+  if (timestamp) return { name: timestamp, type: timestamp, timestamp: true };
+  return null;
+}
+
+/**
+ * Build a grouping plan from "--group-by Prop[:bucket]" and "--agg fn[:Prop]" strings.
+ * Returns { plan: { groupBy, aggregations } } or { error, available? }.
+ */
+function buildAggregationPlan(schema, groupByStr, aggStrs = []) {
+  const available = [...Object.values(schema).map(e => e.name), 'created_time', 'last_edited_time'];
+  const raw = String(groupByStr || '').trim();
+  if (!raw) return { error: 'No --group-by property provided.' };
+
+  let key = raw;
+  let bucket = null;
+  const colonIdx = raw.lastIndexOf(':');
+  if (colonIdx > 0 && !findGroupField(schema, raw)) {
+    const suffix = raw.slice(colonIdx + 1).trim().toLowerCase();
+    if (!DATE_BUCKETS.includes(suffix)) {
+      return { error: `Unknown date bucket "${suffix}". Use one of: ${DATE_BUCKETS.join(', ')}` };
+    }
+    key = raw.slice(0, colonIdx).trim();
+    bucket = suffix;
+  }
+
+  const field = findGroupField(schema, key);
+  if (!field) return { error: `Group-by property "${key}" not found.`, available };
+  if (bucket && !DATE_TYPES.includes(field.type)) {
+    return { error: `Date buckets only apply to date properties — "${field.name}" is ${field.type}.` };
+  }
+
+  const list = (Array.isArray(aggStrs) ? aggStrs : [aggStrs]).filter(Boolean);
+  if (list.length === 0) list.push('count');
+
+  const aggregations = [];
+  for (const aggStr of list) {
+    const idx = aggStr.indexOf(':');
+    const fn = (idx === -1 ? aggStr : aggStr.slice(0, idx)).trim().toLowerCase();
+    const prop = idx === -1 ? '' : aggStr.slice(idx + 1).trim();
+    if (!AGG_FUNCTIONS.includes(fn)) {
+      return { error: `Unknown aggregation "${fn}". Use one of: count, sum:Prop, avg:Prop, min:Prop, max:Prop` };
+    }
+    if (fn === 'count') {
+      aggregations.push({ fn, label: 'count' });
+      continue;
+    }
+    if (!prop) return { error: `Aggregation "${fn}" needs a property (e.g. ${fn}:Points).` };
+    const target = findGroupField(schema, prop);
+    if (!target) return { error: `Aggregation property "${prop}" not found.`, available };
+    const allowed = fn === 'min' || fn === 'max' ? [...NUMERIC_TYPES, ...DATE_TYPES] : NUMERIC_TYPES;
+    if (!allowed.includes(target.type)) {
+      return { error: `Cannot ${fn} ${target.type} property "${target.name}".` };
+    }
+    aggregations.push({ fn, ...target, label: `${fn}(${target.name})` });
+  }
+
+  return { plan: { groupBy: { ...field, bucket }, aggregations } };
+}
+
+/** Read a property (or page timestamp) from a page */
+function getField(page, field) {
+  if (field.timestamp) return { type: field.name, [field.name]: page[field.name] };
+  return page.properties ? page.properties[field.name] : null;
+}
+
+/** Start date (YYYY-MM-DD or ISO datetime) of a date-like property, or null */
+function dateStart(prop) {
+  if (!prop) return null;
+  switch (prop.type) {
+    case 'date': return prop.date ? prop.date.start : null;
+    case 'created_time': return prop.created_time || null;
+    case 'last_edited_time': return prop.last_edited_time || null;
+    case 'formula': return prop.formula && prop.formula.date ? prop.formula.date.start : null;
+    case 'rollup': return prop.rollup && prop.rollup.date ? prop.rollup.date.start : null;
+    default: return null;
+  }
+}
+
+/** Label for the bucket a date falls into: day 2025-02-12, week 2025-02-10 (Monday), month 2025-02, quarter 2025-Q1, year 2025 */
+function bucketDate(value, bucket) {
+  const day = String(value).slice(0, 10);
+  const [year, month, date] = day.split('-').map(Number);
+  switch (bucket) {
+    case 'week': {
+      const d = new Date(Date.UTC(year, month - 1, date));
+      d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+      return d.toISOString().slice(0, 10);
+    }
+    case 'month': return day.slice(0, 7);
+    case 'quarter': return `${year}-Q${Math.floor((month - 1) / 3) + 1}`;
+    case 'year': return String(year);
+    default: return day;
+  }
+}
+
+/** Bucket keys for a property: one per value for multi_select/people/relation */
+function groupKeys(prop, bucket) {
+  if (!prop) return [EMPTY_BUCKET];
+  let keys;
+  if (bucket) {
+    const start = dateStart(prop);
+    keys = start ? [bucketDate(start, bucket)] : [];
+  } else {
+    switch (prop.type) {
+      case 'multi_select':
+        keys = (prop.multi_select || []).map(s => s.name);
+        break;
+      case 'people':
+        keys = (prop.people || []).map(p => p.name || p.id);
+        break;
+      case 'relation':
+        keys = (prop.relation || []).map(r => r.id);
+        break;
+      case 'title':
+        keys = [richTextToPlain(prop.title)];
+        break;
+      default:
+        keys = [propValue(prop)];
+    }
+  }
+  keys = keys.filter(k => k !== '' && k != null);
+  return keys.length > 0 ? keys : [EMPTY_BUCKET];
+}
+
+/** Numeric value of a number/formula/rollup property, or null */
+function numericValue(prop) {
+  if (!prop) return null;
+  let n = null;
+  if (prop.type === 'number') n = prop.number;
+  else if (prop.type === 'formula' && prop.formula) n = prop.formula.number;
+  else if (prop.type === 'rollup' && prop.rollup) n = prop.rollup.number;
+  return typeof n === 'number' && Number.isFinite(n) ? n : null;
+}
+
+function roundValue(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Group pages by plan.groupBy and compute plan.aggregations per bucket.
+ * Date buckets come back in chronological order; other groups keep the
+ * order they first appear in (so --sort still applies).
+ * Returns { rows, columns } ready for outputFormatted().
+ */
+function aggregatePages(pages, plan) {
+  const { groupBy, aggregations } = plan;
+  const groups = new Map();
+
+  for (const page of pages) {
+    for (const key of groupKeys(getField(page, groupBy), groupBy.bucket)) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(page);
+    }
+  }
+
+  let keys = [...groups.keys()];
+  if (groupBy.bucket || ['date', 'created_time', 'last_edited_time'].includes(groupBy.type)) {
+    keys = keys.sort((a, b) => {
+      if (a === EMPTY_BUCKET) return 1;
+      if (b === EMPTY_BUCKET) return -1;
+      return a < b ? -1 : a > b ? 1 : 0;
+    });
+  }
+
+  const groupColumn = groupBy.bucket ? `${groupBy.name} (${groupBy.bucket})` : groupBy.name;
+  const rows = keys.map(key => {
+    const members = groups.get(key);
+    const row = { [groupColumn]: key };
+    for (const agg of aggregations) {
+      row[agg.label] = aggregate(members, agg);
+    }
+    return row;
+  });
+
+  return { rows, columns: [groupColumn, ...aggregations.map(a => a.label)] };
+}
+
+/** Compute one aggregation over a group's pages (formatted as a string) */
+function aggregate(pages, agg) {
+  if (agg.fn === 'count') return String(pages.length);
+
+  const props = pages.map(page => getField(page, agg));
+  const numbers = props.map(numericValue).filter(n => n !== null);
+
+  if (agg.fn === 'sum') return String(roundValue(numbers.reduce((s, n) => s + n, 0)));
+  if (agg.fn === 'avg') {
+    return numbers.length > 0 ? String(roundValue(numbers.reduce((s, n) => s + n, 0) / numbers.length)) : '';
+  }
+
+  // min / max: numbers when there are any, otherwise dates (ISO strings sort chronologically)
+  if (numbers.length > 0) {
+    return String(agg.fn === 'min' ? Math.min(...numbers) : Math.max(...numbers));
+  }
+  const dates = props.map(dateStart).filter(Boolean).sort();
+  if (dates.length === 0) return '';
+  return agg.fn === 'min' ? dates[0] : dates[dates.length - 1];
+}
+
+module.exports = {
+  DATE_BUCKETS,
+  buildAggregationPlan,
+  bucketDate,
+  groupKeys,
+  aggregatePages,
+};
@@ -0,0 +1,55 @@
+// lib/bulk.js — Bounded-concurrency runner for bulk page operations
+
+/**
+ * Run fn(item, index) over items with at most `concurrency` calls in flight.
+ * Failures don't stop the run: resolves to one { item, ok, value } or
+ * { item, ok: false, error } per item, in input order.
+ * onSettled(done, total) is called after each item finishes (for progress).
+ */
+async function runConcurrent(items, concurrency, fn, onSettled) {
+  const limit = Math.max(1, Math.floor(Number(concurrency) || 1));
+  const results = new Array(items.length);
+  let next = 0;
+  let done = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      const item = items[index];
+      try {
+        results[index] = { item, ok: true, value: await fn(item, index) };
+      } catch (error) {
+        results[index] = { item, ok: false, error };
+      }
+      done++;
+      if (onSettled) onSettled(done, items.length);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Parse --concurrency: a whole number from 1 to max.
+ * Returns { concurrency } or { error }.
+ */
+function parseConcurrency(value, { defaultValue = 3, max = 10 } = {}) {
+  if (value == null) return { concurrency: defaultValue };
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > max) {
+    return { error: `Invalid --concurrency "${value}": expected a whole number from 1 to ${max}.` };
+  }
+  return { concurrency: n };
+}
+
+/** One --json document for one or more target pages: the result itself, or an array */
+function singleOrList(results) {
+  return results.length === 1 ? results[0] : results;
+}
+
+module.exports = {
+  runConcurrent,
+  parseConcurrency,
+  singleOrList,
+};
@@ -0,0 +1,93 @@
+// lib/cache.js — On-disk schema cache, per workspace and data source
+
+const fs = require('fs');
+const path = require('path');
+
+/** How long a cached schema is used before it is fetched again (seconds) */
+const DEFAULT_SCHEMA_CACHE_TTL = 600;
+
+function getSchemaCachePath(configDir) {
+  return path.join(configDir, 'schema-cache.json');
+}
+
+/** Load the cache file ({ workspaces: { name: { dsId: { fetched_at, schema } } } }); a missing or corrupted file is empty */
+function loadSchemaCache(cachePath) {
+  try {
+    if (fs.existsSync(cachePath)) {
+      const cache = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+      if (cache && typeof cache.workspaces === 'object' && cache.workspaces) return cache;
+    }
+  } catch (err) {
+    // Corrupted cache — start fresh
+  }
+  return { workspaces: {} };
+}
+
+/** Write the cache through a temp file, so parallel runs never read half a file */
+function saveSchemaCache(cache, cachePath) {
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  const tmpPath = `${cachePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(cache) + '\n');
+  fs.renameSync(tmpPath, cachePath);
+}
+
+/**
+ * Parse the TTL from NOTION_SCHEMA_CACHE_TTL (seconds, 0 disables the cache).
+ * Returns { ttl } in seconds or { error }.
+ */
+function parseCacheTtl(value) {
+  if (value == null || value === '') return { ttl: DEFAULT_SCHEMA_CACHE_TTL };
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) {
+    return { error: `Invalid NOTION_SCHEMA_CACHE_TTL "${value}": expected seconds (0 disables the cache).` };
+  }
+  return { ttl: n };
+}
+
+/** Cached schema for a workspace and data source, or null when missing or older than ttl seconds */
+function getCachedSchema(cache, workspace, dataSourceId, ttl, now = Date.now()) {
+  const entry = cache.workspaces[workspace] && cache.workspaces[workspace][dataSourceId];
+  if (!entry || !entry.schema || ttl <= 0) return null;
+  const age = now - new Date(entry.fetched_at).getTime();
+  return age >= 0 && age < ttl * 1000 ? entry.schema : null;
+}
+
+function setCachedSchema(cache, workspace, dataSourceId, schema, now = Date.now()) {
+  if (!cache.workspaces[workspace]) cache.workspaces[workspace] = {};
+  cache.workspaces[workspace][dataSourceId] = { fetched_at: new Date(now).toISOString(), schema };
+  return cache;
+}
+
+/**
+ * Drop cached schemas: one data source, a whole workspace (no dataSourceId),
+ * or everything (no workspace). Returns how many entries were removed.
+ */
+function removeCachedSchemas(cache, workspace, dataSourceId) {
+  const names = workspace ? [workspace] : Object.keys(cache.workspaces);
+  let removed = 0;
+  for (const name of names) {
+    const entries = cache.workspaces[name];
+    if (!entries) continue;
+    if (dataSourceId) {
+      if (entries[dataSourceId]) {
+        delete entries[dataSourceId];
+        removed++;
+      }
+    } else {
+      removed += Object.keys(entries).length;
+      delete cache.workspaces[name];
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  DEFAULT_SCHEMA_CACHE_TTL,
+  getSchemaCachePath,
+  loadSchemaCache,
+  saveSchemaCache,
+  parseCacheTtl,
+  getCachedSchema,
+  setCachedSchema,
+  removeCachedSchemas,
+};
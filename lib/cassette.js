@@ -0,0 +1,126 @@
+// lib/cassette.js — Record and replay Notion API calls (NOTION_RECORD / NOTION_REPLAY)
+
+const fs = require('fs');
+
+/** Error fields a cassette keeps, enough for runCommand and the retry logic */
+const ERROR_FIELDS = ['name', 'message', 'status', 'code', 'body'];
+
+/** How many recorded params a mismatch error lists */
+const MAX_MISMATCH_CANDIDATES = 3;
+
+/** Params as JSON with object keys sorted, so equal params match whatever their key order */
+function stableStringify(value) {
+  const sortKeys = v => {
+    if (Array.isArray(v)) return v.map(sortKeys);
+    if (v && typeof v === 'object') {
+      return Object.fromEntries(Object.keys(v).sort().map(k => [k, sortKeys(v[k])]));
+    }
+    return v;
+  };
+  const json = JSON.stringify(value);
+  return json === undefined ? 'null' : JSON.stringify(sortKeys(JSON.parse(json)));
+}
+
+function serializeError(err) {
+  if (!err || typeof err !== 'object') return { message: String(err) };
+  const data = {};
+  for (const field of ERROR_FIELDS) {
+    if (err[field] !== undefined) data[field] = err[field];
+  }
+  const causeCode = err.cause && err.cause.code;
+  if (causeCode) data.cause = { code: causeCode };
+  return data;
+}
+
+function deserializeError(data) {
+  const err = new Error(data.message);
+  for (const field of ERROR_FIELDS) {
+    if (field !== 'message' && data[field] !== undefined) err[field] = data[field];
+  }
+  if (data.cause) err.cause = data.cause;
+  return err;
+}
+
+/**
+ * Load a cassette: NDJSON, one { method, params, response } or { method, params, error }
+ * per line. Returns { interactions } or { error }.
+ */
+function loadCassette(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf-8');
+  } catch (err) {
+    return { error: `Cannot read cassette "${filePath}": ${err.message}` };
+  }
+  const interactions = [];
+  const lines = text.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch (err) {
+      return { error: `Invalid cassette "${filePath}" at line ${i + 1}: ${err.message}` };
+    }
+    if (!entry || typeof entry.method !== 'string' || (!('response' in entry) && !entry.error)) {
+      return { error: `Invalid cassette "${filePath}" at line ${i + 1}: expected { method, params, response | error }` };
+    }
+    interactions.push(entry);
+  }
+  return { interactions };
+}
+
+/** Recorder that appends each finished call to filePath; outcome is { response } or { error } */
+function createRecorder(filePath) {
+  return {
+    record(method, params, outcome) {
+      const entry = { method, params: JSON.parse(stableStringify(params)) };
+      if (outcome.error) entry.error = serializeError(outcome.error);
+      else entry.response = outcome.response === undefined ? null : outcome.response;
+      fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+    },
+  };
+}
+
+/**
+ * Player that answers calls from recorded interactions, matching on method and
+ * params. Identical calls get their recordings in order; the last one repeats
+ * once they run out. A call with no recording throws a cassette_mismatch error
+ * listing what the cassette has for that method.
+ */
+function createPlayer(interactions, { source = 'cassette' } = {}) {
+  const byKey = new Map();
+  for (const entry of interactions) {
+    const key = `${entry.method} ${stableStringify(entry.params)}`;
+    if (!byKey.has(key)) byKey.set(key, { entries: [], next: 0 });
+    byKey.get(key).entries.push(entry);
+  }
+
+  return {
+    play(method, params) {
+      const key = `${method} ${stableStringify(params)}`;
+      const match = byKey.get(key);
+      if (!match) {
+        const recorded = interactions.filter(e => e.method === method);
+        const hint = recorded.length === 0
+          ? `The cassette has no ${method} calls.`
+          : `Recorded ${method} params:\n${recorded.slice(0, MAX_MISMATCH_CANDIDATES).map(e => `  ${stableStringify(e.params)}`).join('\n')}`
+            + (recorded.length > MAX_MISMATCH_CANDIDATES ? `\n  …and ${recorded.length - MAX_MISMATCH_CANDIDATES} more` : '');
+        const err = new Error(`No recorded response in ${source} for ${method} ${stableStringify(params)}\n${hint}`);
+        err.code = 'cassette_mismatch';
+        throw err;
+      }
+      const entry = match.entries[Math.min(match.next, match.entries.length - 1)];
+      match.next += 1;
+      if (entry.error) throw deserializeError(entry.error);
+      return structuredClone(entry.response);
+    },
+  };
+}
+
+module.exports = {
+  stableStringify,
+  loadCassette,
+  createRecorder,
+  createPlayer,
+};
@@ -42,7 +42,7 @@ function migrateConfig(config) {
 
 /**
  * Get the config for a specific workspace (or the active one).
- * Returns { apiKey, aliases } for that workspace.
+ * Returns { apiKey, aliases, views, retry } for that workspace.
  */
 function resolveWorkspace(config, workspaceName) {
   const name = workspaceName || config.activeWorkspace || 'default';
@@ -51,7 +51,89 @@ function resolveWorkspace(config, workspaceName) {
     const available = config.workspaces ? Object.keys(config.workspaces) : [];
     return { error: `Unknown workspace: "${name}"`, available, name };
   }
-  return { apiKey: ws.apiKey, aliases: ws.aliases || {}, name };
+  return { apiKey: ws.apiKey, aliases: ws.aliases || {}, views: ws.views || {}, retry: ws.retry || {}, name };
+}
+
+// ─── Saved views ─────────────────────────────────────────────────────────────
+
+/** Query options a saved view keeps, in the order they are shown */
+const VIEW_OPTIONS = [
+  { key: 'filter', flag: '--filter', repeatable: true },
+  { key: 'where', flag: '--where' },
+  { key: 'sort', flag: '--sort', repeatable: true },
+  { key: 'columns', flag: '--columns' },
+  { key: 'exclude', flag: '--exclude' },
+  { key: 'groupBy', flag: '--group-by' },
+  { key: 'agg', flag: '--agg', repeatable: true },
+  { key: 'limit', flag: '--limit' },
+  { key: 'pageSize', flag: '--page-size' },
+  { key: 'output', flag: '--output' },
+  { key: 'stream', flag: '--stream', boolean: true },
+  { key: 'template', flag: '--template' },
+  { key: 'templateFile', flag: '--template-file' },
+];
+
+/**
+ * Build a saved view definition from a database and parsed query options.
+ * Empty options are dropped so config.json stays readable. --page-size is only
+ * kept with --limit: alone it fetches a single page, which every later run of
+ * the view would silently stop at.
+ */
+function buildViewDefinition(database, opts = {}) {
+  const view = { database };
+  for (const { key, repeatable } of VIEW_OPTIONS) {
+    const value = opts[key];
+    if (repeatable ? Array.isArray(value) && value.length > 0 : value != null && value !== '') {
+      view[key] = repeatable ? [...value] : value;
+    }
+  }
+  if (view.pageSize != null && view.limit == null) delete view.pageSize;
+  // Views run from any directory, so keep template files absolute
+  if (view.templateFile) view.templateFile = path.resolve(view.templateFile);
+  return view;
+}
+
+/**
+ * Merge run-time options onto a saved view.
+ * Extra --filter flags are ANDed onto the saved ones; other options override.
+ * A saved page size without a limit (from older configs) is ignored.
+ */
+function mergeViewOptions(view, overrides = {}) {
+  const merged = {};
+  for (const { key, repeatable } of VIEW_OPTIONS) {
+    if (view[key] != null) merged[key] = repeatable ? [...view[key]] : view[key];
+  }
+  if (overrides.filter && overrides.filter.length > 0) {
+    merged.filter = (merged.filter || []).concat(overrides.filter);
+  }
+  for (const { key, repeatable } of VIEW_OPTIONS) {
+    if (key !== 'filter' && overrides[key] != null && !(repeatable && overrides[key].length === 0)) {
+      merged[key] = overrides[key];
+    }
+  }
+  if (merged.pageSize != null && merged.limit == null && overrides.pageSize == null) delete merged.pageSize;
+  // A run-time --output replaces a saved template
+  if (overrides.output != null) {
+    delete merged.template;
+    delete merged.templateFile;
+  }
+  return merged;
+}
+
+/** Render a saved view as the equivalent query arguments */
+function describeView(view) {
+  const quote = v => (/[\s"'<>|&;()]/.test(v) ? JSON.stringify(String(v)) : String(v));
+  const parts = [view.database];
+  for (const { key, flag, repeatable, boolean } of VIEW_OPTIONS) {
+    if (view[key] == null || view[key] === false) continue;
+    if (boolean) {
+      parts.push(flag);
+      continue;
+    }
+    const values = repeatable ? view[key] : [view[key]];
+    for (const value of values) parts.push(flag, quote(value));
+  }
+  return parts.join(' ');
 }
 
 function saveConfig(config, configDir, configPath) {
@@ -65,4 +147,7 @@ module.exports = {
   migrateConfig,
   resolveWorkspace,
   saveConfig,
+  buildViewDefinition,
+  mergeViewOptions,
+  describeView,
 };
@@ -1,3 +1,6 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
 const { Client } = require('@notionhq/client');
 const helpers = require('./helpers');
 
@@ -7,43 +10,180 @@ const {
   buildPropValue,
   printTable,
   pagesToRows,
+  parseColumnList,
+  selectColumns,
   formatCsv,
   formatYaml,
   outputFormatted,
+  OUTPUT_FORMAT_NAMES,
+  STREAM_FORMATS,
+  getOutputFormat,
+  templateFormat,
+  streamFormatted,
   buildFilterFromSchema,
   buildCompoundFilter,
+  buildWhereFilter,
+  buildQueryFilter,
+  buildFilterCondition,
+  combineFilters,
+  filterDepth,
+  MAX_FILTER_DEPTH,
+  expandRelationSubquery,
+  findSchemaEntry,
+  buildSortsFromSchema,
+  buildSearchOptions,
+  buildAggregationPlan,
+  aggregatePages,
   markdownToBlocks,
   blocksToMarkdown,
   parseCsv,
   kebabToProperty,
+  registeredFlagNames,
   extractDynamicProps,
   parseInlineFormatting,
+  splitMentions,
+  splitRichText,
   UUID_REGEX,
+  normalizeNotionId,
+  parseTitleReference,
   paginate,
+  paginateIter,
   withRetry,
+  resolveRetryPolicy,
+  RETRY_SETTINGS,
+  formatRetryMessage,
+  isDebugEnabled,
+  createTracer,
+  createTracingFetch,
   getNotionApiErrorDetails,
+  buildViewDefinition,
+  mergeViewOptions,
+  describeView,
+  compileTemplate,
+  findUnknownFields,
+  runConcurrent,
+  parseConcurrency,
+  singleOrList,
+  createScheduler,
+  clearPropValue,
+  parsePropAssignment,
+  applyRelativeUpdate,
+  getSchemaCachePath,
+  loadSchemaCache,
+  saveSchemaCache,
+  parseCacheTtl,
+  getCachedSchema,
+  setCachedSchema,
+  removeCachedSchemas,
+  loadCassette,
+  createRecorder,
+  createPlayer,
 } = helpers;
 
 const { CONFIG_DIR, CONFIG_PATH } = helpers.getConfigPaths();
+const SCHEMA_CACHE_PATH = getSchemaCachePath(CONFIG_DIR);
+
+/** How many matching pages to offer when a filter is ambiguous */
+const MAX_PAGE_CHOICES = 25;
+
+/** Bulk operations on more pages than this ask for confirmation (or --yes) */
+const BULK_CONFIRM_THRESHOLD = 10;
+
+/** Property types whose CLI values name other things (users, pages, files) */
+const REFERENCE_PROP_TYPES = ['people', 'relation', 'files'];
+
+/** Content types for file uploads, by extension (anything else is application/octet-stream) */
+const MIME_MAP = {
+  '.txt': 'text/plain', '.csv': 'text/csv', '.html': 'text/html',
+  '.json': 'application/json', '.pdf': 'application/pdf',
+  '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif', '.webp': 'image/webp', '.svg': 'image/svg+xml',
+  '.mp4': 'video/mp4', '.mp3': 'audio/mpeg', '.wav': 'audio/wav',
+  '.zip': 'application/zip', '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/** Plain title of a page object ('' if it has none) */
+function pageTitle(page) {
+  const prop = Object.values((page && page.properties) || {}).find(p => p.type === 'title');
+  return prop ? propValue(prop) : '';
+}
 
 // ─── Lazy Notion client ────────────────────────────────────────────────────────
 let _notion = null;
 let _notionWithRetry = null;
 
-function wrapNotionClient(notion) {
-  const wrap = target => new Proxy(target, {
+/**
+ * SDK methods that are not safe to repeat after an unclear failure (5xx, network
+ * error, conflict): each call creates something new or sends data again. They are
+ * still retried on rate limits, which Notion rejects before doing any work.
+ * Generic request() calls are included, since their path is not known here.
+ */
+const NON_IDEMPOTENT_METHODS = new Set(['create', 'append', 'send', 'complete', 'request']);
+
+/**
+ * Route every API method through the shared request scheduler (rate limit and
+ * parallelism) and retry failed calls with withRetry(); each retry queues again.
+ * retry options (maxAttempts, baseDelayMs, budgetMs) apply to every call; a tracer
+ * (lib/trace.js) logs each attempt. A recorder (lib/cassette.js) saves each call's
+ * final outcome; a player answers calls from a cassette instead of the API, still
+ * traced but without scheduling or retries.
+ * Errors that escape get err.apiCall = { method, attempts } so the caller can say
+ * which call failed.
+ */
+function wrapNotionClient(notion, {
+  scheduler = createScheduler(),
+  retry = {},
+  tracer = null,
+  recorder = null,
+  player = null,
+} = {}) {
+  const wrap = (target, path) => new Proxy(target, {
     get(obj, prop) {
       const value = obj[prop];
       if (typeof value === 'function') {
-        return (...args) => withRetry(() => value.apply(obj, args));
+        const method = [...path, prop].join('.');
+        const idempotent = !NON_IDEMPOTENT_METHODS.has(prop);
+        return async (...args) => {
+          const id = tracer ? tracer.nextId() : null;
+          const params = args.length === 1 ? args[0] : args;
+          let attempts = 0;
+          const send = player ? () => player.play(method, params) : () => value.apply(obj, args);
+          const call = () => {
+            attempts += 1;
+            return tracer
+              ? tracer.attempt({ id, method, params, attempt: attempts }, send)
+              : send();
+          };
+          const onRetry = tracer
+            ? info => {
+              tracer.retry(id, method, info);
+              console.error(formatRetryMessage(info));
+            }
+            : undefined;
+          const run = player
+            ? async () => call()
+            : () => withRetry(() => scheduler.schedule(call), { ...retry, idempotent, onRetry });
+          try {
+            const result = await run();
+            if (recorder) recorder.record(method, params, { response: result });
+            return result;
+          } catch (err) {
+            if (recorder) recorder.record(method, params, { error: err });
+            if (err && typeof err === 'object' && !err.apiCall) err.apiCall = { method, attempts };
+            throw err;
+          }
+        };
       }
       if (value && typeof value === 'object') {
-        return wrap(value);
+        return wrap(value, [...path, prop]);
       }
       return value;
     },
   });
-  return wrap(notion);
+  return wrap(notion, []);
 }
 
 function createNotionClient(apiKey) {
@@ -68,7 +208,7 @@ function createContext(program) {
   }
 
   /**
-   * Get the active workspace config { apiKey, aliases, name }.
+   * Get the active workspace config { apiKey, aliases, views, retry, name }.
    */
   function getWorkspaceConfig() {
     const config = loadConfig();
@@ -101,16 +241,17 @@ function createContext(program) {
   }
 
   /**
-   * Resolve a user-given alias or UUID to { database_id, data_source_id }.
-   * If given a raw UUID, we use it for both IDs (the SDK figures it out).
+   * Resolve a user-given alias, UUID or database URL to { database_id, data_source_id }.
+   * If given a raw ID, we use it for both IDs (the SDK figures it out).
    */
   function resolveDb(aliasOrId) {
     const ws = getWorkspaceConfig();
     if (ws.aliases && ws.aliases[aliasOrId]) {
       return ws.aliases[aliasOrId];
     }
-    if (UUID_REGEX.test(aliasOrId)) {
-      return { database_id: aliasOrId, data_source_id: aliasOrId };
+    const id = normalizeNotionId(aliasOrId);
+    if (id) {
+      return { database_id: id, data_source_id: id };
     }
     const aliasNames = ws.aliases ? Object.keys(ws.aliases) : [];
     console.error(`Unknown database alias: "${aliasOrId}"`);
@@ -123,46 +264,90 @@ function createContext(program) {
   }
 
   /**
-   * Resolve alias + filter → page ID, or pass through a raw UUID.
-   * Used by update, delete, get, blocks, comments, comment, append.
+   * Resolve alias + filter → page ID, title:"Page" → page ID via search, or
+   * normalize a page ID / compact ID / Notion URL.
+   * Used by blocks, comments, relations, props, move, export and friends;
+   * commands with --first / --last / --all use resolvePages() instead.
+   * An optional --where expression is ANDed onto the filters.
    *
    * Returns { pageId, dbIds } where dbIds is non-null when resolved via alias.
    */
-  async function resolvePageId(aliasOrId, filterInput) {
+  async function resolvePageId(aliasOrId, filterInput, whereExpr) {
+    const [match] = await resolvePages(aliasOrId, { filter: filterInput, where: whereExpr });
+    return match;
+  }
+
+  /** Options for choosing among several matching pages (see resolvePages) */
+  function addPageSelectionOptions(command) {
+    return command
+      .option('--sort <key:direction...>', 'Order matching pages for --first / --last — repeatable (e.g. --sort Due:desc)', (v, prev) => prev.concat([v]), [])
+      .option('--first', 'If several pages match, use the first one')
+      .option('--last', 'If several pages match, use the last one')
+      .option('--all', 'Apply to every matching page');
+  }
+
+  /**
+   * Resolve a page target to a list of { pageId, dbIds, page? }, like resolvePageId().
+   * page is the page object when the lookup already fetched it (alias or title).
+   * opts: filter, where, sort (alias + filter only), and at most one of
+   * first / last / all. When several pages match and none is given, an
+   * interactive terminal gets a numbered picker; otherwise the matches are
+   * listed and the command exits.
+   */
+  async function resolvePages(aliasOrId, opts = {}) {
+    const mode = ['first', 'last', 'all'].filter(key => opts[key]);
+    if (mode.length > 1) {
+      console.error(`Use only one of ${mode.map(key => `--${key}`).join(', ')}.`);
+      process.exit(1);
+    }
+    const selection = { mode: mode[0] || null };
+
     // Normalize filter: accept string or array, extract first non-empty
+    const filterInput = opts.filter;
     const filterStr = Array.isArray(filterInput)
       ? (filterInput.length > 0 ? filterInput : null)
       : filterInput;
     const ws = getWorkspaceConfig();
     if (ws.aliases && ws.aliases[aliasOrId]) {
-      if (!filterStr || (Array.isArray(filterStr) && filterStr.length === 0)) {
-        console.error('When using an alias, --filter is required to identify a specific page.');
+      const hasFilter = filterStr && !(Array.isArray(filterStr) && filterStr.length === 0);
+      if (!hasFilter && !opts.where) {
+        console.error('When using an alias, --filter (or --where) is required to identify a specific page.');
         console.error(`Example: notion update ${aliasOrId} --filter "Name=My Page" --prop "Status=Done"`);
         process.exit(1);
       }
       const dbIds = ws.aliases[aliasOrId];
       const notion = getNotion();
-      const filter = await buildFilter(dbIds, filterStr);
-      const res = await notion.dataSources.query({
+      const params = {
         data_source_id: dbIds.data_source_id,
-        filter,
-        page_size: 5,
-      });
-      if (res.results.length === 0) {
+        filter: await buildFilter(dbIds, hasFilter ? filterStr : [], opts.where),
+      };
+      if (opts.sort && opts.sort.length > 0) params.sorts = await buildSorts(dbIds, opts.sort);
+      // --first needs one page, --last and --all need them all; otherwise enough to choose from
+      const limit = selection.mode === 'first' ? 1 : selection.mode ? null : MAX_PAGE_CHOICES;
+      const { results, truncated } = await paginate(
+        ({ start_cursor, page_size }) => notion.dataSources.query({ ...params, start_cursor, page_size }),
+        { limit },
+      );
+      if (results.length === 0) {
         console.error('No matching page found.');
         process.exit(1);
       }
-      if (res.results.length > 1) {
-        console.error(`Multiple pages match (${res.results.length}). Use a more specific filter or pass a page ID directly.`);
-        const rows = pagesToRows(res.results);
-        const cols = Object.keys(rows[0]).slice(0, 4);
-        printTable(rows, cols);
-        process.exit(1);
-      }
-      return { pageId: res.results[0].id, dbIds };
+      const rows = pagesToRows(results);
+      const pages = await choosePages(results, selection, {
+        heading: `Multiple pages match (${truncated ? `more than ${results.length}` : results.length}).`,
+        rows,
+        columns: Object.keys(rows[0]).slice(0, 4),
+      });
+      return pages.map(page => ({ pageId: page.id, dbIds, page }));
+    }
+    const title = parseTitleReference(aliasOrId);
+    if (title) {
+      const pages = await choosePagesByTitle(title, selection);
+      return pages.map(page => ({ pageId: page.id, dbIds: null, page }));
     }
-    // Check if it looks like a UUID — if not, it's probably a typo'd alias
-    if (!UUID_REGEX.test(aliasOrId)) {
+    // Check if it looks like an ID or URL — if not, it's probably a typo'd alias
+    const pageId = normalizeNotionId(aliasOrId);
+    if (!pageId) {
       const aliasNames = ws.aliases ? Object.keys(ws.aliases) : [];
       console.error(`Unknown alias: "${aliasOrId}"`);
       if (aliasNames.length > 0) {
@@ -170,20 +355,367 @@ function createContext(program) {
       } else {
         console.error('No aliases configured. Run: notion init --key <your-api-key>');
       }
+      console.error('Or pass a page ID, a Notion URL or title:"Page title".');
+      process.exit(1);
+    }
+    return [{ pageId, dbIds: null }];
+  }
+
+  /**
+   * Find the page whose title is exactly `title` (ignoring case) through search.
+   * Exits when no page matches, or when several do and none is picked.
+   */
+  async function resolvePageTitle(title) {
+    const [page] = await choosePagesByTitle(title, { mode: null });
+    return page.id;
+  }
+
+  /** Search for pages titled exactly `title` (ignoring case) and choose among them */
+  async function choosePagesByTitle(title, selection) {
+    const notion = getNotion();
+    const { results } = await paginate(
+      ({ start_cursor, page_size }) => notion.search({
+        query: title,
+        filter: { property: 'object', value: 'page' },
+        start_cursor,
+        page_size,
+      }),
+      { limit: 100 },
+    );
+    const needle = title.trim().toLowerCase();
+    const matches = results.filter(page => pageTitle(page).trim().toLowerCase() === needle);
+    if (matches.length === 0) {
+      console.error(`No page titled "${title}" found (is it shared with your integration?).`);
       process.exit(1);
     }
-    // Treat as raw page ID
-    return { pageId: aliasOrId, dbIds: null };
+    return choosePages(matches, selection, {
+      heading: `Multiple pages are titled "${title}" (${matches.length}).`,
+      rows: matches.map(page => ({ id: page.id, title: pageTitle(page), url: page.url || '' })),
+      columns: ['id', 'title', 'url'],
+    });
+  }
+
+  /**
+   * Apply a --first / --last / --all selection to several matching pages.
+   * Without one, ask in an interactive terminal, or list the matches and exit.
+   */
+  async function choosePages(pages, { mode }, { heading, rows, columns }) {
+    if (pages.length === 1 || mode === 'first') return [pages[0]];
+    if (mode === 'last') return [pages[pages.length - 1]];
+    if (mode === 'all') return pages;
+
+    if (process.stdin.isTTY && process.stderr.isTTY) {
+      console.error(heading);
+      const index = await promptChoice(rows.map(row => columns.map(c => row[c] ?? '').join('  │  ')));
+      if (index === null) {
+        console.error('Cancelled.');
+        process.exit(1);
+      }
+      return [pages[index]];
+    }
+
+    console.error(`${heading} Use a more specific filter, pass a page ID, or choose with --first, --last or --all.`);
+    printTable(rows, columns);
+    process.exit(1);
+  }
+
+  /** Numbered picker on stderr; resolves to the chosen index, or null when cancelled */
+  async function promptChoice(labels) {
+    labels.forEach((label, i) => console.error(`  ${String(i + 1).padStart(String(labels.length).length)}) ${label}`));
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    rl.setPrompt(`Choose 1-${labels.length} (Enter to cancel): `);
+    rl.prompt();
+    try {
+      for await (const line of rl) {
+        const answer = line.trim();
+        if (!answer) return null;
+        const n = Number(answer);
+        if (Number.isInteger(n) && n >= 1 && n <= labels.length) return n - 1;
+        console.error(`Enter a number from 1 to ${labels.length}.`);
+        rl.prompt();
+      }
+      return null;
+    } finally {
+      rl.close();
+    }
+  }
+
+  /** Ask a yes/no question on stderr; resolves to true only for y / yes */
+  async function confirm(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    try {
+      const answer = await new Promise(resolve => rl.question(`${question} [y/N] `, resolve));
+      return /^y(es)?$/i.test(answer.trim());
+    } finally {
+      rl.close();
+    }
+  }
+
+  /** --dry-run / --yes / --concurrency for commands that can act on many pages */
+  function addBulkOptions(command) {
+    return command
+      .option('--dry-run', 'List the pages that would be changed, without changing them')
+      .option('--yes', `Skip the confirmation for more than ${BULK_CONFIRM_THRESHOLD} pages`);
+  }
+
+  /**
+   * Apply `worker(target)` to every target from resolvePages() — the bulk path
+   * of update / delete. Handles --dry-run (list and stop), confirmation above
+   * BULK_CONFIRM_THRESHOLD pages unless --yes, bounded --concurrency with a
+   * progress counter on a terminal, and a per-page summary. Exits 1 if any page failed.
+   * action is the imperative ("update"), verb the past tense ("updated");
+   * note is printed under the summary.
+   */
+  async function runBulk(targets, opts, cmd, { action, verb, change, note, worker }) {
+    const concurrency = getConcurrency();
+    const capitalize = text => text[0].toUpperCase() + text.slice(1);
+    const what = `${targets.length} page${targets.length === 1 ? '' : 's'}${change ? ` (${change})` : ''}`;
+    const rows = targets.map(t => ({ id: t.pageId, title: pageTitle(t.page) }));
+
+    if (opts.dryRun) {
+      if (jsonOutput(cmd, { dry_run: true, action, change: change || null, pages: rows })) return;
+      console.log(`Dry run — would ${action} ${what}:`);
+      printTable(rows, ['id', 'title']);
+      return;
+    }
+
+    if (targets.length > BULK_CONFIRM_THRESHOLD && !opts.yes) {
+      const interactive = process.stdin.isTTY && process.stderr.isTTY;
+      if (!interactive) {
+        console.error(`Refusing to ${action} ${what} without --yes (preview them with --dry-run).`);
+        process.exit(1);
+      }
+      if (!(await confirm(`${capitalize(action)} ${what}?`))) {
+        console.error('Cancelled.');
+        process.exit(1);
+      }
+    }
+
+    const showProgress = process.stderr.isTTY;
+    const results = await runConcurrent(targets, concurrency, worker, (done, total) => {
+      if (showProgress) process.stderr.write(`\r${capitalize(verb)} ${done}/${total}`);
+    });
+    if (showProgress) process.stderr.write('\n');
+
+    const errorText = err => {
+      const details = getNotionApiErrorDetails(err);
+      return (details && (details.message || details.body?.message || details.code)) || err.message;
+    };
+    const summary = results.map((r, i) => ({
+      ...rows[i],
+      ok: r.ok,
+      ...(r.ok ? {} : { error: errorText(r.error) }),
+    }));
+    const failed = summary.filter(r => !r.ok).length;
+    if (!jsonOutput(cmd, summary)) {
+      printTable(summary.map(r => ({ ...r, result: r.ok ? `✅ ${verb}` : `❌ ${r.error}` })), ['id', 'title', 'result']);
+      console.log(`${summary.length - failed} ${verb}, ${failed} failed`);
+      if (note && failed < summary.length) console.log(note);
+    }
+    if (failed > 0) process.exit(1);
+  }
+
+  /** Normalize a block ID, compact ID or block link (URL#block) — exits when it is none of these */
+  function resolveBlockId(value) {
+    const blockId = normalizeNotionId(value, { block: true });
+    if (!blockId) {
+      console.error(`Invalid block ID: "${value}". Pass a block ID or a Notion block link (…#<block-id>).`);
+      process.exit(1);
+    }
+    return blockId;
+  }
+
+  /** Parallel API requests from the global --concurrency flag (1-10, default 3) */
+  function getConcurrency() {
+    const { concurrency, error } = parseConcurrency(program.opts().concurrency);
+    if (error) {
+      console.error(error);
+      process.exit(1);
+    }
+    return concurrency;
+  }
+
+  /**
+   * Retry policy for API calls: --retry-* flags → NOTION_RETRY_* env vars →
+   * workspace "retry" config → defaults. Exits on invalid values.
+   */
+  function getRetryPolicy() {
+    const policy = resolveRetryPolicy({
+      flags: program.opts(),
+      env: process.env,
+      config: getWorkspaceConfig().retry,
+    });
+    if (policy.error) {
+      console.error(policy.error);
+      process.exit(1);
+    }
+    return policy;
+  }
+
+  /**
+   * Tracer for --verbose / --trace / NOTION_DEBUG (stderr) and --trace-file (NDJSON),
+   * or null when neither is on. Exits when the trace file can't be written.
+   */
+  function getTracer() {
+    const opts = program.opts();
+    const verbose = Boolean(opts.verbose || opts.trace) || isDebugEnabled(process.env.NOTION_DEBUG);
+    const file = opts.traceFile || null;
+    if (file) {
+      try {
+        fs.appendFileSync(file, '');
+      } catch (err) {
+        console.error(`Cannot write trace file "${file}": ${err.message}`);
+        process.exit(1);
+      }
+    }
+    return createTracer({ verbose, file });
+  }
+
+  /**
+   * Cassette mode from NOTION_RECORD=path (append every call to path) or
+   * NOTION_REPLAY=path (answer calls from path, no network or API key).
+   * Returns { recorder } | { player } | {}; exits on a bad cassette or both set.
+   */
+  function getCassette() {
+    const recordPath = process.env.NOTION_RECORD;
+    const replayPath = process.env.NOTION_REPLAY;
+    if (recordPath && replayPath) {
+      console.error('Set either NOTION_RECORD or NOTION_REPLAY, not both.');
+      process.exit(1);
+    }
+    if (replayPath) {
+      const { interactions, error } = loadCassette(replayPath);
+      if (error) {
+        console.error(error);
+        process.exit(1);
+      }
+      return { player: createPlayer(interactions, { source: replayPath }) };
+    }
+    if (recordPath) {
+      try {
+        fs.appendFileSync(recordPath, '');
+      } catch (err) {
+        console.error(`Cannot write cassette "${recordPath}": ${err.message}`);
+        process.exit(1);
+      }
+      return { recorder: createRecorder(recordPath) };
+    }
+    return {};
   }
 
   function getNotion() {
     if (!_notion) {
-      _notion = new Client({ auth: getApiKey() });
-      _notionWithRetry = wrapNotionClient(_notion);
+      const { recorder, player } = getCassette();
+      const tracer = getTracer();
+      _notion = new Client({
+        auth: player ? undefined : getApiKey(),
+        ...(tracer && !player ? { fetch: createTracingFetch() } : {}),
+      });
+      _notionWithRetry = wrapNotionClient(_notion, {
+        scheduler: createScheduler({ concurrency: getConcurrency() }),
+        retry: getRetryPolicy(),
+        tracer,
+        recorder,
+        player,
+      });
     }
     return _notionWithRetry;
   }
 
+  /**
+   * Fetch linked pages (e.g. relation targets) in parallel, paced by the request scheduler.
+   * Returns one { id, title, url } per ID in order, or { id, error } when a page can't be read.
+   */
+  async function fetchLinkedPages(pageIds) {
+    const notion = getNotion();
+    const results = await runConcurrent(pageIds, getConcurrency(), id => notion.pages.retrieve({ page_id: id }));
+    return results.map(r => (r.ok
+      ? { id: r.item, title: pageTitle(r.value), url: r.value.url || '' }
+      : { id: r.item, error: r.error }));
+  }
+
+  /**
+   * Turn --limit, --page-size and --cursor into paginate() options.
+   * --page-size without --limit fetches that one page (onePage), so scripts can
+   * page by hand with the reported cursor. Exits on invalid values.
+   */
+  function getPagingOptions(opts, pageSizeLimit = 100) {
+    const limit = opts.limit == null ? null : parseInt(opts.limit, 10);
+    if (opts.limit != null && (!Number.isFinite(limit) || limit < 0)) {
+      console.error(`Invalid --limit value: ${opts.limit}`);
+      process.exit(1);
+    }
+    const pageSize = opts.pageSize == null ? null : parseInt(opts.pageSize, 10);
+    if (opts.pageSize != null && (!Number.isFinite(pageSize) || pageSize < 1 || pageSize > pageSizeLimit)) {
+      console.error(`Invalid --page-size value: ${opts.pageSize} (expected 1-${pageSizeLimit})`);
+      process.exit(1);
+    }
+    const onePage = pageSize != null && limit == null;
+    return { limit: onePage ? pageSize : limit, pageSize, onePage, startCursor: opts.cursor || undefined, pageSizeLimit };
+  }
+
+  /**
+   * Tell stderr that --limit (or a lone --page-size) cut the results short, with
+   * the cursor to resume from so batch jobs can checkpoint and continue.
+   */
+  function reportTruncation(paging, nextCursor) {
+    if (paging.onePage) {
+      console.error(`More results after this page of ${paging.pageSize}.`);
+      if (nextCursor) {
+        console.error(`Next cursor: ${nextCursor} (continue with --page-size ${paging.pageSize} --cursor ${nextCursor})`);
+      }
+      return;
+    }
+    console.error(`Warning: results truncated to ${paging.limit}. Use --limit to increase or omit to fetch all results.`);
+    if (nextCursor) {
+      console.error(`Next cursor: ${nextCursor} (continue with --cursor ${nextCursor})`);
+    }
+  }
+
+  /**
+   * Compile --template / --template-file, or return null when neither is given.
+   * In --template, a literal \\n or \\t stands for a newline or a tab.
+   * Exits on conflicting flags, unreadable files and template errors.
+   */
+  function loadTemplate(opts) {
+    if (!opts.template && !opts.templateFile) return null;
+    if (opts.template && opts.templateFile) {
+      console.error('Use either --template or --template-file, not both.');
+      process.exit(1);
+    }
+    if (opts.output) {
+      console.error('--template replaces --output; use one or the other.');
+      process.exit(1);
+    }
+    let source;
+    if (opts.templateFile) {
+      try {
+        source = fs.readFileSync(opts.templateFile, 'utf-8').replace(/\r?\n$/, '');
+      } catch (err) {
+        console.error(`Cannot read template file: ${err.message}`);
+        process.exit(1);
+      }
+    } else {
+      source = opts.template.replace(/\\n/g, '\n').replace(/\\t/g, '\t');
+    }
+    const compiled = compileTemplate(source);
+    if (compiled.error) {
+      console.error(`Invalid template: ${compiled.error}`);
+      process.exit(1);
+    }
+    return compiled;
+  }
+
+  /** Exit if a compiled template uses fields that are not among the available columns */
+  function checkTemplateFields(compiled, available) {
+    const unknown = findUnknownFields(compiled, available);
+    if (unknown.length > 0) {
+      console.error(`Unknown template field${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+      console.error(`Available: ${available.join(', ')}`);
+      process.exit(1);
+    }
+  }
+
   /** Check if --json flag is set anywhere in the command chain */
   function getGlobalJson(cmd) {
     let c = cmd;
@@ -217,6 +749,10 @@ function createContext(program) {
       } else {
         console.error(`${name} failed:`, err.message);
       }
+      if (err && err.apiCall) {
+        const { method, attempts } = err.apiCall;
+        console.error(`Failed call: ${method} (${attempts} attempt${attempts !== 1 ? 's' : ''})`);
+      }
       process.exit(1);
     }
   }
@@ -233,58 +769,495 @@ function createContext(program) {
     return false;
   }
 
+  const _schemas = new Map(); // data_source_id → Promise<schema>, for this run
+
+  /** Workspace name the schema cache is keyed by */
+  function getCacheWorkspace() {
+    return getWorkspaceName() || loadConfig().activeWorkspace || 'default';
+  }
+
+  /**
+   * Schema cache TTL in seconds from NOTION_SCHEMA_CACHE_TTL (0 = off). The cache is
+   * off while recording or replaying, so both runs make the same schema calls.
+   */
+  function getSchemaCacheTtl() {
+    if (process.env.NOTION_RECORD || process.env.NOTION_REPLAY) return 0;
+    const { ttl, error } = parseCacheTtl(process.env.NOTION_SCHEMA_CACHE_TTL);
+    if (error) {
+      console.error(error);
+      process.exit(1);
+    }
+    return ttl;
+  }
+
   /**
    * Fetch data source schema — returns map of lowercase_name → { type, name }
-   * Uses dataSources.retrieve() which accepts the data_source_id.
+   * Uses dataSources.retrieve() which accepts the data_source_id. Schemas are
+   * cached on disk per workspace for NOTION_SCHEMA_CACHE_TTL seconds (default 600)
+   * and fetched at most once per run.
    */
   async function getDbSchema(dbIds) {
-    const notion = getNotion();
     const dsId = dbIds.data_source_id;
+    if (!_schemas.has(dsId)) {
+      const pending = loadDbSchema(dsId);
+      pending.catch(() => _schemas.delete(dsId));
+      _schemas.set(dsId, pending);
+    }
+    return _schemas.get(dsId);
+  }
+
+  async function loadDbSchema(dsId) {
+    const ttl = getSchemaCacheTtl();
+    const workspace = getCacheWorkspace();
+    if (ttl > 0) {
+      const cached = getCachedSchema(loadSchemaCache(SCHEMA_CACHE_PATH), workspace, dsId, ttl);
+      if (cached) return cached;
+    }
+
+    const notion = getNotion();
     const ds = await notion.dataSources.retrieve({ data_source_id: dsId });
     const schema = {};
     for (const [name, prop] of Object.entries(ds.properties)) {
-      schema[name.toLowerCase()] = { type: prop.type, name };
+      const entry = { type: prop.type, name, id: prop.id };
+      if (prop.type === 'relation' && prop.relation) {
+        if (prop.relation.data_source_id) entry.dataSourceId = prop.relation.data_source_id;
+        else if (prop.relation.database_id) entry.databaseId = prop.relation.database_id;
+      }
+      if (prop.type === 'rollup' && prop.rollup) {
+        entry.rollupFunction = prop.rollup.function;
+      }
+      schema[name.toLowerCase()] = entry;
+    }
+
+    if (ttl > 0) {
+      // Reload before writing so entries saved by parallel runs are kept
+      const cache = loadSchemaCache(SCHEMA_CACHE_PATH);
+      setCachedSchema(cache, workspace, dsId, schema);
+      saveSchemaCache(cache, SCHEMA_CACHE_PATH);
     }
     return schema;
   }
 
-  /** Build properties object from --prop key=value pairs using schema */
-  async function buildProperties(dbIds, props) {
+  /**
+   * Forget cached schemas after a schema change: one data source, or the whole
+   * active workspace when no ID is given. Returns how many entries were removed.
+   */
+  function invalidateSchemaCache(dataSourceId) {
+    if (dataSourceId) _schemas.delete(dataSourceId);
+    else _schemas.clear();
+    const cache = loadSchemaCache(SCHEMA_CACHE_PATH);
+    const removed = removeCachedSchemas(cache, getCacheWorkspace(), dataSourceId);
+    if (removed > 0) saveSchemaCache(cache, SCHEMA_CACHE_PATH);
+    return removed;
+  }
+
+  let _users = null; // Promise<user[]>, shared by concurrent lookups
+
+  /** Users whose name or email equals value (ignoring case); the list is fetched once */
+  async function findUsers(value) {
+    if (!_users) {
+      const notion = getNotion();
+      _users = paginate(
+        ({ start_cursor, page_size }) => notion.users.list({ start_cursor, page_size }),
+        { pageSizeLimit: 100 },
+      ).then(({ results }) => results);
+      _users.catch(() => { _users = null; });
+    }
+    const users = await _users;
+    const needle = value.toLowerCase();
+    return users.filter(u => (u.name || '').toLowerCase() === needle
+      || ((u.person && u.person.email) || '').toLowerCase() === needle);
+  }
+
+  /**
+   * Resolve "me", a user name or an email to a Notion user ID.
+   * "me" is the user who owns the integration (public integrations only).
+   * Throws when the value matches no user or several, so parallel workers
+   * (import rows, bulk updates) fail one item instead of the whole run.
+   */
+  async function resolveUserId(value) {
+    if (UUID_REGEX.test(value)) return value;
+    const notion = getNotion();
+    if (value.toLowerCase() === 'me') {
+      const me = await notion.users.me({});
+      const owner = me.bot && me.bot.owner;
+      if (owner && owner.type === 'user' && owner.user) return owner.user.id;
+      throw new Error('Cannot resolve "me": this integration is owned by the workspace, not a user.\n'
+        + 'Use a name or email instead (see: notion users).');
+    }
+    const matches = await findUsers(value);
+    if (matches.length === 1) return matches[0].id;
+    if (matches.length === 0) throw new Error(`No user found matching "${value}" (by name or email).`);
+    throw new Error(`Multiple users match "${value}": ${matches.map(u => `${u.name || '(unnamed)'} (${u.id})`).join(', ')}\n`
+      + 'Use an email or user ID instead.');
+  }
+
+  const _relatedDataSources = new Map(); // database_id → Promise<data_source_id>, for this run
+
+  /**
+   * Data source ID of a relation's target. Schemas that only give the related
+   * database_id are resolved through databases.retrieve() to its first data source.
+   * Returns null when neither is known.
+   */
+  async function resolveRelatedDataSource(dataSourceId, databaseId) {
+    if (dataSourceId) return dataSourceId;
+    if (!databaseId) return null;
+    if (!_relatedDataSources.has(databaseId)) {
+      const pending = getNotion().databases.retrieve({ database_id: databaseId }).then((db) => {
+        if (!db.data_sources || db.data_sources.length === 0) {
+          throw new Error(`Related database ${databaseId} has no data source.`);
+        }
+        return db.data_sources[0].id;
+      });
+      pending.catch(() => _relatedDataSources.delete(databaseId));
+      _relatedDataSources.set(databaseId, pending);
+    }
+    return _relatedDataSources.get(databaseId);
+  }
+
+  /**
+   * Resolve a page ID or an exact page title in a relation's target data source to
+   * a page ID. Used for relation filters and values. Throws like resolveUserId().
+   */
+  async function resolveRelationPageId(entry, value) {
+    const pageId = normalizeNotionId(value);
+    if (pageId) return pageId;
+    const dataSourceId = await resolveRelatedDataSource(entry.dataSourceId, entry.databaseId);
+    if (!dataSourceId) {
+      throw new Error(`Cannot look up "${value}" by title: the related database is unknown. Pass a page ID instead.`);
+    }
+    const schema = await getDbSchema({ data_source_id: dataSourceId });
+    const titleEntry = Object.values(schema).find(e => e.type === 'title');
+    if (!titleEntry) {
+      throw new Error(`Related database has no title property — pass a page ID for "${value}".`);
+    }
+    const notion = getNotion();
+    const res = await notion.dataSources.query({
+      data_source_id: dataSourceId,
+      filter: { property: titleEntry.name, title: { equals: value } },
+      page_size: 5,
+    });
+    if (res.results.length === 1) return res.results[0].id;
+    if (res.results.length === 0) throw new Error(`No related page titled "${value}" found.`);
+    throw new Error(`Multiple related pages are titled "${value}": ${res.results.map(r => r.id).join(', ')}\n`
+      + 'Pass a page ID instead.');
+  }
+
+  /**
+   * Run a "Project.Status=Active" subquery against the related data source
+   * and return the IDs of the matching pages.
+   */
+  async function resolveRelationSubquery(subquery) {
+    const dataSourceId = await resolveRelatedDataSource(subquery.data_source_id, subquery.database_id);
+    const relatedSchema = await getDbSchema({ data_source_id: dataSourceId });
+    const result = buildFilterCondition(relatedSchema, subquery.key, subquery.operator, subquery.value);
+    if (result.error) {
+      console.error(`Related database: ${result.error}`);
+      if (result.available) {
+        console.error(`Available: ${result.available.join(', ')}`);
+      }
+      process.exit(1);
+    }
+    const filter = await resolveFilterReferences(result.filter, relatedSchema);
+    const titleEntry = Object.values(relatedSchema).find(e => e.type === 'title');
+    const notion = getNotion();
+    const { results } = await paginate(
+      ({ start_cursor, page_size }) => notion.dataSources.query({
+        data_source_id: dataSourceId,
+        filter,
+        ...(titleEntry && titleEntry.id ? { filter_properties: [titleEntry.id] } : {}),
+        start_cursor,
+        page_size,
+      }),
+      { pageSizeLimit: 100 },
+    );
+    return results.map(page => page.id);
+  }
+
+  /**
+   * Replace people names/emails/"me" and relation page titles in a built filter
+   * with the IDs Notion expects, and expand relation subqueries ("Project.Status=Active")
+   * into ORed relation contains clauses. Walks nested and/or groups.
+   */
+  async function resolveFilterReferences(filter, schema) {
+    const kind = filter.and ? 'and' : filter.or ? 'or' : null;
+    if (kind) {
+      const children = [];
+      for (const child of filter[kind]) {
+        children.push(await resolveFilterReferences(child, schema));
+      }
+      return combineFilters(kind, children);
+    }
+    const entry = filter.property && Object.values(schema).find(e => e.name === filter.property);
+    if (!entry) return filter;
+    const type = entry.type;
+    const condition = filter[type];
+    if (!condition) return filter;
+    if (type === 'relation' && condition.subquery) {
+      const pageIds = await resolveRelationSubquery(condition.subquery);
+      return expandRelationSubquery(entry.name, pageIds, { negate: condition.subquery.negate });
+    }
+    const peopleTypes = ['people', 'created_by', 'last_edited_by'];
+    for (const op of ['contains', 'does_not_contain']) {
+      if (typeof condition[op] !== 'string') continue;
+      if (peopleTypes.includes(type)) {
+        condition[op] = await resolveUserId(condition[op]);
+      } else if (type === 'relation') {
+        condition[op] = await resolveRelationPageId(entry, condition[op]);
+      }
+    }
+    return filter;
+  }
+
+  /**
+   * Upload a local file through the Notion file upload API (create, then send).
+   * Returns { id, filename, size }; attach it with { type: 'file_upload', file_upload: { id } }.
+   */
+  async function uploadFile(filePath, parent) {
+    const absPath = path.resolve(filePath);
+    if (!fs.existsSync(absPath) || !fs.statSync(absPath).isFile()) {
+      console.error(`File not found: ${absPath}`);
+      process.exit(1);
+    }
+    const notion = getNotion();
+    const filename = path.basename(absPath);
+    const fileData = fs.readFileSync(absPath);
+    const mimeType = MIME_MAP[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+
+    const upload = await notion.fileUploads.create({ ...(parent ? { parent } : {}), filename });
+    await notion.fileUploads.send({
+      file_upload_id: upload.id,
+      file: { data: new Blob([fileData], { type: mimeType }), filename },
+      part_number: '1',
+    });
+    return { id: upload.id, filename, size: fileData.length };
+  }
+
+  /**
+   * Build a people, relation or files value from the CLI: people by name, email,
+   * "me" or ID; relations by page title or ID in the related data source;
+   * files by URL or local path. Items are comma-separated. Local files are only
+   * checked here and come back as { path } items: an upload attaches to one page,
+   * so uploadLocalFiles() uploads them again for every page written.
+   */
+  async function buildReferencePropValue(entry, value) {
+    const items = value.split(',').map(v => v.trim()).filter(Boolean);
+    if (entry.type === 'files') {
+      const files = [];
+      for (const item of items) {
+        if (/^https?:\/\//.test(item)) {
+          files.push(...buildPropValue('files', item).files);
+        } else {
+          const absPath = path.resolve(item);
+          if (!fs.existsSync(absPath) || !fs.statSync(absPath).isFile()) {
+            throw new Error(`File not found: ${absPath}`);
+          }
+          files.push({ path: absPath });
+        }
+      }
+      return { files };
+    }
+    return buildPropValue(entry.type, (await resolveReferenceIds(entry, items)).join(','));
+  }
+
+  /**
+   * Upload the local { path } files in built properties and return a copy that
+   * points at the new uploads. Call once per page: uploads can't be shared.
+   */
+  async function uploadLocalFiles(properties) {
+    const result = { ...properties };
+    for (const [name, value] of Object.entries(properties)) {
+      if (!value || !Array.isArray(value.files) || !value.files.some(f => f.path)) continue;
+      const files = [];
+      for (const file of value.files) {
+        if (!file.path) {
+          files.push(file);
+          continue;
+        }
+        const upload = await uploadFile(file.path);
+        files.push({ name: upload.filename, type: 'file_upload', file_upload: { id: upload.id } });
+      }
+      result[name] = { files };
+    }
+    return result;
+  }
+
+  /** Resolve people (names, emails, "me") or relation pages (titles) to IDs */
+  async function resolveReferenceIds(entry, items) {
+    const ids = [];
+    for (const item of items) {
+      ids.push(entry.type === 'people'
+        ? await resolveUserId(item)
+        : await resolveRelationPageId(entry, item));
+    }
+    return ids;
+  }
+
+  /**
+   * Turn one @mention from splitMentions() into a mention run. Bracketed mentions
+   * must resolve: page IDs/URLs and title:"..." become page mentions, anything else
+   * a user. A bare @word only becomes a mention when it is "me" or names exactly
+   * one user; otherwise it stays literal text (null).
+   */
+  async function resolveMention({ mention, bracketed }) {
+    const pageId = bracketed && normalizeNotionId(mention);
+    const title = bracketed && parseTitleReference(mention);
+    if (pageId || title) {
+      return { type: 'mention', mention: { type: 'page', page: { id: pageId || await resolvePageTitle(title) } } };
+    }
+    let userId = null;
+    if (bracketed || mention.toLowerCase() === 'me') {
+      userId = await resolveUserId(mention);
+    } else {
+      const matches = await findUsers(mention);
+      if (matches.length === 1) userId = matches[0].id;
+    }
+    return userId ? { type: 'mention', mention: { type: 'user', user: { id: userId } } } : null;
+  }
+
+  /**
+   * Rich text for a title or rich_text property value: inline markdown (**bold**,
+   * *italic*, `code`, [text](url)) and @mentions, split into 2000-character runs.
+   */
+  async function buildRichTextValue(text) {
+    const richText = [];
+    let pending = ''; // text (and unresolved @words) not yet formatted
+    for (const part of splitMentions(text)) {
+      const mention = part.mention ? await resolveMention(part) : null;
+      if (!mention) {
+        pending += part.mention ? part.raw : part.text;
+        continue;
+      }
+      if (pending) richText.push(...parseInlineFormatting(pending));
+      richText.push(mention);
+      pending = '';
+    }
+    if (pending || richText.length === 0) richText.push(...parseInlineFormatting(pending));
+    return splitRichText(richText);
+  }
+
+  /**
+   * Parse --prop assignments against the schema: key=value sets, key= clears,
+   * key+=value / key-=value change the current value. Returns { properties, relative }
+   * where relative holds the parsed +=/-= changes (relation and people operands
+   * resolved to IDs) for preparePageUpdate() once the page is known.
+   * Title and text values are parsed as inline markdown unless options.raw is set.
+   * Unknown properties, bad values and failed lookups throw, so a bad import row
+   * fails on its own.
+   */
+  async function buildPropertyUpdate(dbIds, props, options = {}) {
     const schema = await getDbSchema(dbIds);
     const properties = {};
+    const relative = [];
 
     for (const kv of props) {
-      const eqIdx = kv.indexOf('=');
-      if (eqIdx === -1) {
-        console.error(`Invalid property format: ${kv} (expected key=value)`);
-        process.exit(1);
+      const parsed = parsePropAssignment(kv, schema);
+      if (parsed.error) {
+        throw new Error(parsed.available
+          ? `${parsed.error}\nAvailable: ${parsed.available.join(', ')}`
+          : parsed.error);
       }
-      const key = kv.slice(0, eqIdx);
-      const value = kv.slice(eqIdx + 1);
+      const { entry, op, value } = parsed;
 
-      const schemaEntry = schema[key.toLowerCase()];
-      if (!schemaEntry) {
-        console.error(`Property "${key}" not found in database schema.`);
-        console.error(`Available: ${Object.values(schema).map(s => s.name).join(', ')}`);
-        process.exit(1);
+      if (op === 'add' || op === 'remove') {
+        const operand = entry.type === 'people' || entry.type === 'relation'
+          ? await resolveReferenceIds(entry, value.split(',').map(v => v.trim()).filter(Boolean))
+          : value;
+        relative.push({ ...parsed, value: operand });
+        continue;
       }
 
-      const built = buildPropValue(schemaEntry.type, value);
+      let built;
+      if (op === 'clear') {
+        built = clearPropValue(entry.type);
+      } else if (REFERENCE_PROP_TYPES.includes(entry.type)) {
+        built = await buildReferencePropValue(entry, value);
+      } else if (!options.raw && (entry.type === 'title' || entry.type === 'rich_text')) {
+        built = { [entry.type]: await buildRichTextValue(value) };
+      } else {
+        built = buildPropValue(entry.type, value);
+      }
       if (built && built.error) {
-        console.error(`Invalid value for "${schemaEntry.name}" (${schemaEntry.type}): ${built.error}`);
-        process.exit(1);
+        throw new Error(`Invalid value for "${entry.name}" (${entry.type}): ${built.error}`);
       }
-      properties[schemaEntry.name] = built;
+      properties[entry.name] = built;
     }
 
-    return properties;
+    return { properties, relative };
+  }
+
+  /**
+   * Build properties object from --prop key=value pairs using schema (no += / -=),
+   * for one new page: local files are uploaded here.
+   */
+  async function buildProperties(dbIds, props, options = {}) {
+    const { properties, relative } = await buildPropertyUpdate(dbIds, props, options);
+    if (relative.length > 0) {
+      throw new Error(`"${relative[0].expression}" changes an existing value: += and -= only work with notion update.`);
+    }
+    return uploadLocalFiles(properties);
+  }
+
+  /**
+   * Turn a buildPropertyUpdate() result into one page's properties: upload local
+   * files for this page, then fetch its current values and merge the relative
+   * changes. Throws when a change cannot apply (e.g. shifting an empty date),
+   * so bulk updates report it per page.
+   */
+  async function preparePageUpdate(pageId, { properties: built, relative }) {
+    const properties = await uploadLocalFiles(built);
+    if (relative.length === 0) return properties;
+    const notion = getNotion();
+    const page = await notion.pages.retrieve({ page_id: pageId });
+    const merged = { ...properties };
+    for (const change of relative) {
+      const { entry } = change;
+      let current = merged[entry.name] || page.properties[entry.name];
+      if (current && current.has_more && current.id) {
+        // pages.retrieve truncates long relation and people lists
+        const { results } = await paginate(
+          ({ start_cursor, page_size }) => notion.pages.properties.retrieve({
+            page_id: pageId, property_id: current.id, start_cursor, page_size,
+          }),
+          { pageSizeLimit: 100 },
+        );
+        current = { [entry.type]: results.map(item => item[entry.type]) };
+      }
+      const updated = applyRelativeUpdate(entry.type, current, change.op, change.value);
+      if (updated.error) throw new Error(`Cannot apply "${change.expression}": ${updated.error}`);
+      merged[entry.name] = updated;
+    }
+    return merged;
+  }
+
+  /**
+   * Parse filter string(s) and an optional --where expression into a Notion
+   * filter object. Accepts string or array for filters.
+   */
+  async function buildFilter(dbIds, filterInput, whereExpr) {
+    const schema = await getDbSchema(dbIds);
+    const filters = Array.isArray(filterInput) ? filterInput : (filterInput ? [filterInput] : []);
+    const result = buildQueryFilter(schema, filters, whereExpr);
+    if (result.error) {
+      console.error(result.error);
+      if (result.available) {
+        console.error(`Available: ${result.available.join(', ')}`);
+      }
+      process.exit(1);
+    }
+    const filter = await resolveFilterReferences(result.filter, schema);
+    if (filterDepth(filter) > MAX_FILTER_DEPTH) {
+      console.error(`Filter nests too deeply once relation subqueries are expanded: Notion allows at most ${MAX_FILTER_DEPTH} levels of AND/OR groups.`);
+      console.error('Move the relation filter (e.g. Project.Status=Active) out of nested groups.');
+      process.exit(1);
+    }
+    return filter;
   }
 
-  /** Parse filter string(s) into a Notion filter object. Accepts string or array. */
-  async function buildFilter(dbIds, filterInput) {
+  /** Parse repeatable --sort key:direction strings into Notion sorts */
+  async function buildSorts(dbIds, sortInput) {
     const schema = await getDbSchema(dbIds);
-    const filters = Array.isArray(filterInput) ? filterInput : [filterInput];
-    const result = buildCompoundFilter(schema, filters);
+    const result = buildSortsFromSchema(schema, sortInput);
     if (result.error) {
       console.error(result.error);
       if (result.available) {
@@ -292,7 +1265,7 @@ function createContext(program) {
       }
       process.exit(1);
     }
-    return result.filter;
+    return result.sorts;
   }
 
   return {
@@ -303,36 +1276,89 @@ function createContext(program) {
     getWorkspaceName,
     getWorkspaceConfig,
     getApiKey,
+    buildViewDefinition,
+    mergeViewOptions,
+    describeView,
     resolveDb,
     resolvePageId,
+    resolvePages,
+    addPageSelectionOptions,
+    addBulkOptions,
+    runBulk,
+    resolvePageTitle,
+    resolveBlockId,
     getNotion,
+    getConcurrency,
+    getRetryPolicy,
+    runConcurrent,
+    singleOrList,
+    fetchLinkedPages,
     createNotionClient,
     wrapNotionClient,
     runCommand,
     jsonOutput,
     getGlobalJson,
+    getPagingOptions,
+    reportTruncation,
+    loadTemplate,
+    checkTemplateFields,
     getDbSchema,
+    invalidateSchemaCache,
+    getCacheWorkspace,
+    getSchemaCacheTtl,
+    SCHEMA_CACHE_PATH,
+    loadSchemaCache,
+    saveSchemaCache,
+    removeCachedSchemas,
+    resolveUserId,
+    resolveRelationPageId,
+    resolveFilterReferences,
+    uploadFile,
+    buildRichTextValue,
+    buildPropertyUpdate,
     buildProperties,
+    preparePageUpdate,
     buildFilter,
+    buildSorts,
     richTextToPlain,
     propValue,
     buildPropValue,
     printTable,
     pagesToRows,
+    parseColumnList,
+    selectColumns,
     formatCsv,
     formatYaml,
     outputFormatted,
+    OUTPUT_FORMAT_NAMES,
+    STREAM_FORMATS,
+    getOutputFormat,
+    templateFormat,
+    streamFormatted,
     buildFilterFromSchema,
     buildCompoundFilter,
+    buildWhereFilter,
+    buildQueryFilter,
+    findSchemaEntry,
+    buildSortsFromSchema,
+    buildSearchOptions,
+    buildAggregationPlan,
+    aggregatePages,
     markdownToBlocks,
     blocksToMarkdown,
     parseCsv,
     kebabToProperty,
+    registeredFlagNames,
     extractDynamicProps,
     parseInlineFormatting,
     UUID_REGEX,
+    normalizeNotionId,
+    parseTitleReference,
     paginate,
+    paginateIter,
     withRetry,
+    resolveRetryPolicy,
+    RETRY_SETTINGS,
     getNotionApiErrorDetails,
   };
 }
@@ -344,19 +1370,35 @@ module.exports = {
   buildPropValue,
   printTable,
   pagesToRows,
+  parseColumnList,
+  selectColumns,
   formatCsv,
   formatYaml,
   outputFormatted,
+  OUTPUT_FORMAT_NAMES,
+  STREAM_FORMATS,
+  getOutputFormat,
+  templateFormat,
+  streamFormatted,
   buildFilterFromSchema,
   buildCompoundFilter,
+  buildWhereFilter,
+  buildQueryFilter,
+  buildSortsFromSchema,
+  buildAggregationPlan,
+  aggregatePages,
   markdownToBlocks,
   blocksToMarkdown,
   parseCsv,
   kebabToProperty,
+  registeredFlagNames,
   extractDynamicProps,
   parseInlineFormatting,
   UUID_REGEX,
+  normalizeNotionId,
+  parseTitleReference,
   paginate,
+  paginateIter,
   withRetry,
   getNotionApiErrorDetails,
 };
@@ -0,0 +1,178 @@
+// lib/dates.js — Relative date grammar shared by filters and property values
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_ABBREVIATIONS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const OFFSET_REGEX = /^([+-])\s*(\d+)\s*(d|days?|w|weeks?|m|months?|y|years?)$/;
+const WEEKDAY_REGEX = /^(?:(next|last|this)_)?([a-z]+)$/;
+
+/**
+ * Keywords that map to Notion's native relative date conditions when used
+ * with "=" (e.g. --filter "Due=this_week" → { date: { this_week: {} } }).
+ * last_week and next_week predate these and keep meaning the date 7 days
+ * away; last_month and last_year resolve to a date the same way.
+ */
+const NATIVE_DATE_CONDITIONS = {
+  this_week: 'this_week',
+  past_week: 'past_week',
+  past_month: 'past_month',
+  past_year: 'past_year',
+  next_month: 'next_month',
+  next_year: 'next_year',
+};
+
+/** Format a local calendar date as YYYY-MM-DD */
+function toIsoDate(d) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function addDays(d, n) {
+  const r = new Date(d);
+  r.setDate(r.getDate() + n);
+  return r;
+}
+
+/** Add months, clamping to the last day of the target month (Jan 31 + 1m → Feb 28) */
+function addMonths(d, n) {
+  const r = new Date(d.getFullYear(), d.getMonth() + n, 1);
+  const lastDay = new Date(r.getFullYear(), r.getMonth() + 1, 0).getDate();
+  r.setDate(Math.min(d.getDate(), lastDay));
+  return r;
+}
+
+/** Monday of the week containing d */
+function startOfWeek(d) {
+  return addDays(d, -((d.getDay() + 6) % 7));
+}
+
+/** Normalize a keyword: lowercase, spaces and hyphens → underscores */
+function normalizeDateKeyword(value) {
+  return String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Resolve relative date expressions to ISO date strings.
+ * Supports:
+ *   today, yesterday, tomorrow
+ *   last_week / next_week, last_month / next_month, last_year / next_year (past_* too)
+ *   offsets: +3d, -2w, +1m, -1y
+ *   this_week, this_month, this_quarter, this_year (the first day of each)
+ *   start_of_/end_of_ week, month, quarter, year
+ *   weekday names: monday, next friday, last tue
+ * Anything else is returned as-is.
+ */
+function resolveRelativeDate(value, now = new Date()) {
+  if (typeof value !== 'string') return value;
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const trimmed = value.trim().toLowerCase();
+
+  const offset = trimmed.match(OFFSET_REGEX);
+  if (offset) {
+    const n = Number(offset[2]) * (offset[1] === '-' ? -1 : 1);
+    switch (offset[3][0]) {
+      case 'd': return toIsoDate(addDays(today, n));
+      case 'w': return toIsoDate(addDays(today, n * 7));
+      case 'm': return toIsoDate(addMonths(today, n));
+      default: return toIsoDate(addMonths(today, n * 12));
+    }
+  }
+
+  const quarterStart = new Date(today.getFullYear(), Math.floor(today.getMonth() / 3) * 3, 1);
+  const keyword = normalizeDateKeyword(value);
+  switch (keyword) {
+    case 'today':
+      return toIsoDate(today);
+    case 'yesterday':
+      return toIsoDate(addDays(today, -1));
+    case 'tomorrow':
+      return toIsoDate(addDays(today, 1));
+    case 'last_week': case 'past_week':
+      return toIsoDate(addDays(today, -7));
+    case 'next_week':
+      return toIsoDate(addDays(today, 7));
+    case 'last_month': case 'past_month':
+      return toIsoDate(addMonths(today, -1));
+    case 'next_month':
+      return toIsoDate(addMonths(today, 1));
+    case 'last_year': case 'past_year':
+      return toIsoDate(addMonths(today, -12));
+    case 'next_year':
+      return toIsoDate(addMonths(today, 12));
+    case 'this_week': case 'start_of_week':
+      return toIsoDate(startOfWeek(today));
+    case 'end_of_week':
+      return toIsoDate(addDays(startOfWeek(today), 6));
+    case 'this_month': case 'start_of_month':
+      return toIsoDate(new Date(today.getFullYear(), today.getMonth(), 1));
+    case 'end_of_month':
+      return toIsoDate(new Date(today.getFullYear(), today.getMonth() + 1, 0));
+    case 'this_quarter': case 'start_of_quarter':
+      return toIsoDate(quarterStart);
+    case 'end_of_quarter':
+      return toIsoDate(new Date(quarterStart.getFullYear(), quarterStart.getMonth() + 3, 0));
+    case 'this_year': case 'start_of_year':
+      return toIsoDate(new Date(today.getFullYear(), 0, 1));
+    case 'end_of_year':
+      return toIsoDate(new Date(today.getFullYear(), 11, 31));
+    default:
+      break;
+  }
+
+  const weekday = keyword.match(WEEKDAY_REGEX);
+  if (weekday) {
+    let target = WEEKDAYS.indexOf(weekday[2]);
+    if (target === -1) target = WEEKDAY_ABBREVIATIONS.indexOf(weekday[2]);
+    if (target !== -1) {
+      const diff = (target - today.getDay() + 7) % 7;
+      switch (weekday[1]) {
+        case 'next': return toIsoDate(addDays(today, diff === 0 ? 7 : diff));
+        case 'last': return toIsoDate(addDays(today, diff === 0 ? -7 : diff - 7));
+        default: return toIsoDate(addDays(today, diff)); // bare or "this": upcoming, including today
+      }
+    }
+  }
+
+  return value; // Return as-is if not a keyword
+}
+
+/**
+ * Shift an ISO date or date-time by an offset like "+2d", "-1w" or "+1m".
+ * Any time part is kept as-is. Returns null when either value is invalid.
+ */
+function shiftIsoDate(value, offset) {
+  const date = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})(.*)$/);
+  const match = String(offset || '').trim().toLowerCase().match(OFFSET_REGEX);
+  if (!date || !match) return null;
+  const d = new Date(Number(date[1]), Number(date[2]) - 1, Number(date[3]));
+  const n = Number(match[2]) * (match[1] === '-' ? -1 : 1);
+  let shifted;
+  switch (match[3][0]) {
+    case 'd': shifted = addDays(d, n); break;
+    case 'w': shifted = addDays(d, n * 7); break;
+    case 'm': shifted = addMonths(d, n); break;
+    default: shifted = addMonths(d, n * 12);
+  }
+  return toIsoDate(shifted) + date[4];
+}
+
+/** Whether value is a relative offset like "-7d" or "+2w" */
+function isDateOffset(value) {
+  return typeof value === 'string' && OFFSET_REGEX.test(value.trim().toLowerCase());
+}
+
+/**
+ * Notion's native relative condition name for a keyword, or null.
+ * e.g. "past week" → "past_week"; "last_week" → null (it resolves to a date)
+ */
+function getNativeDateCondition(value) {
+  if (typeof value !== 'string') return null;
+  return NATIVE_DATE_CONDITIONS[normalizeDateKeyword(value)] || null;
+}
+
+module.exports = {
+  NATIVE_DATE_CONDITIONS,
+  resolveRelativeDate,
+  getNativeDateCondition,
+  isDateOffset,
+  shiftIsoDate,
+};
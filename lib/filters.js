@@ -1,12 +1,20 @@
 // lib/filters.js — Filter parsing and building for Notion API queries
 
+const { resolveRelativeDate, getNativeDateCondition, isDateOffset, NATIVE_DATE_CONDITIONS } = require('./dates');
+
+/** Operators that take no value: "Assignee is_empty" */
+const UNARY_OPERATORS = ['is_empty', 'is_not_empty'];
+const UNARY_OPERATOR_REGEX = /^(.+?)\s+(is_empty|is_not_empty|is empty|is not empty)\s*$/i;
+
 /**
  * Parse a filter string into { key, operator, value }.
- * Supports: >=, <=, !=, >, <, = (default)
- * Examples: "Status=Active", "Day>5", "Date>=2026-01-01", "Name!=Draft"
+ * Supports: !==, ==, >=, <=, !=, !~, ^=, $=, >, <, ~, = (default),
+ * plus the unary "is_empty" / "is_not_empty" suffixes.
+ * Examples: "Status=Active", "Day>5", "Date>=2026-01-01", "Name!=Draft",
+ *           "Name^=Draft", "Assignee is_empty"
  */
 function parseFilterOperator(filterStr) {
-  const operatorChars = new Set(['>', '<', '=', '!']);
+  const operatorChars = new Set(['>', '<', '=', '!', '~']);
   let inQuote = null;
 
   for (let i = 0; i < filterStr.length; i++) {
@@ -23,9 +31,11 @@ function parseFilterOperator(filterStr) {
 
     let op = null;
     const two = filterStr.slice(i, i + 2);
-    if (two === '>=' || two === '<=' || two === '!=') {
+    if (filterStr.slice(i, i + 3) === '!==') {
+      op = '!==';
+    } else if (['>=', '<=', '!=', '==', '!~', '^=', '$='].includes(two)) {
       op = two;
-    } else if (ch === '>' || ch === '<' || ch === '=') {
+    } else if (ch === '>' || ch === '<' || ch === '=' || ch === '~') {
       op = ch;
     }
 
@@ -55,47 +65,80 @@ function parseFilterOperator(filterStr) {
     return { key, operator: op, value };
   }
 
-  return { error: `Invalid filter format: ${filterStr} (expected key=value, key>value, etc.)` };
+  const unary = filterStr.match(UNARY_OPERATOR_REGEX);
+  if (unary) {
+    const operator = unary[2].toLowerCase().replace(/\s+/g, '_');
+    return { key: unary[1].trim(), operator, value: '' };
+  }
+
+  return { error: `Invalid filter format: ${filterStr} (expected key=value, key>value, "key is_empty", etc.)` };
 }
 
+/** Operators that always map to the same Notion condition, whatever the type */
+const EXPLICIT_OPERATORS = {
+  '==': 'equals',
+  '!==': 'does_not_equal',
+  '~': 'contains',
+  '!~': 'does_not_contain',
+  '^=': 'starts_with',
+  '$=': 'ends_with',
+  is_empty: 'is_empty',
+  is_not_empty: 'is_not_empty',
+};
+
+const TEXT_CONDITIONS = ['equals', 'does_not_equal', 'contains', 'does_not_contain', 'starts_with', 'ends_with', 'is_empty', 'is_not_empty'];
+const NUMBER_CONDITIONS = ['equals', 'does_not_equal', 'greater_than', 'less_than', 'greater_than_or_equal_to', 'less_than_or_equal_to', 'is_empty', 'is_not_empty'];
+const DATE_CONDITIONS = [
+  'equals', 'before', 'after', 'on_or_before', 'on_or_after', 'is_empty', 'is_not_empty',
+  ...new Set(Object.values(NATIVE_DATE_CONDITIONS)),
+];
+const SELECT_CONDITIONS = ['equals', 'does_not_equal', 'is_empty', 'is_not_empty'];
+const LIST_CONDITIONS = ['contains', 'does_not_contain', 'is_empty', 'is_not_empty'];
+
 /**
- * Resolve relative date keywords to ISO date strings.
+ * Notion filter conditions that are legal for each property type.
+ * Types missing from this map are passed through unvalidated.
  */
-function resolveRelativeDate(value) {
-  const lower = value.toLowerCase();
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-
-  switch (lower) {
-    case 'today':
-      return today.toISOString().split('T')[0];
-    case 'yesterday': {
-      const d = new Date(today); d.setDate(d.getDate() - 1);
-      return d.toISOString().split('T')[0];
-    }
-    case 'tomorrow': {
-      const d = new Date(today); d.setDate(d.getDate() + 1);
-      return d.toISOString().split('T')[0];
-    }
-    case 'last_week': case 'last-week': {
-      const d = new Date(today); d.setDate(d.getDate() - 7);
-      return d.toISOString().split('T')[0];
-    }
-    case 'next_week': case 'next-week': {
-      const d = new Date(today); d.setDate(d.getDate() + 7);
-      return d.toISOString().split('T')[0];
-    }
-    default:
-      return value; // Return as-is if not a keyword
-  }
-}
+const TYPE_CONDITIONS = {
+  title: TEXT_CONDITIONS,
+  rich_text: TEXT_CONDITIONS,
+  url: TEXT_CONDITIONS,
+  email: TEXT_CONDITIONS,
+  phone_number: TEXT_CONDITIONS,
+  number: NUMBER_CONDITIONS,
+  date: DATE_CONDITIONS,
+  checkbox: ['equals', 'does_not_equal'],
+  select: SELECT_CONDITIONS,
+  status: SELECT_CONDITIONS,
+  multi_select: LIST_CONDITIONS,
+  people: LIST_CONDITIONS,
+  relation: LIST_CONDITIONS,
+  created_by: LIST_CONDITIONS,
+  last_edited_by: LIST_CONDITIONS,
+  // Notion only supports emptiness checks on files
+  files: ['is_empty', 'is_not_empty'],
+};
+
+const ALL_OPERATORS = ['=', '!=', '==', '!==', '~', '!~', '^=', '$=', '>', '<', '>=', '<=', ...UNARY_OPERATORS];
 
 /**
  * Map { operator, type } to Notion filter condition.
+ * Returns { error } when the operator is not legal for the property type.
  */
 function operatorToCondition(type, operator, value) {
-  // Resolve relative dates
+  const filterType = getFilterType(type);
+
+  if (UNARY_OPERATORS.includes(operator)) {
+    return validateCondition(type, operator, { [filterType]: { [operator]: true } });
+  }
+
+  // Relative dates: native Notion conditions for "=" (this_week, past_month, ...),
+  // otherwise resolved to an ISO date
   if (type === 'date') {
+    const native = getNativeDateCondition(value);
+    if (native && (operator === '=' || operator === '==')) {
+      return { date: { [native]: {} } };
+    }
     value = resolveRelativeDate(value);
   }
 
@@ -113,6 +156,10 @@ function operatorToCondition(type, operator, value) {
     value = value === 'true' || value === '1' || value === 'yes';
   }
 
+  if (EXPLICIT_OPERATORS[operator]) {
+    return validateCondition(type, operator, { [filterType]: { [EXPLICIT_OPERATORS[operator]]: value } });
+  }
+
   // Map operators to Notion API condition names
   const conditionMap = {
     '=': getDefaultCondition(type, value),
@@ -127,7 +174,6 @@ function operatorToCondition(type, operator, value) {
   if (!condition) return null;
 
   // Clean undefined values
-  const filterType = getFilterType(type);
   if (condition[filterType]) {
     const inner = condition[filterType];
     for (const k of Object.keys(inner)) {
@@ -135,7 +181,42 @@ function operatorToCondition(type, operator, value) {
     }
   }
 
-  return condition;
+  return validateCondition(type, operator, condition);
+}
+
+/** Reject conditions Notion does not accept for the property type */
+function validateCondition(type, operator, condition) {
+  const allowed = TYPE_CONDITIONS[type];
+  if (!allowed) return condition;
+  const conditionName = Object.keys(condition[getFilterType(type)])[0];
+  if (allowed.includes(conditionName)) return condition;
+  const supported = getSupportedOperators(type);
+  return {
+    error: `Operator "${operator}" is not supported for ${type} properties.`
+      + (supported.length > 0 ? ` Supported operators: ${supported.join(', ')}` : ''),
+  };
+}
+
+/** Notion condition name an operator maps to for a property type (no validation) */
+function getConditionName(type, operator) {
+  if (EXPLICIT_OPERATORS[operator]) return EXPLICIT_OPERATORS[operator];
+  const isDate = type === 'date';
+  switch (operator) {
+    case '=': return Object.keys(getDefaultCondition(type, null)[type])[0];
+    case '!=': return Object.keys(getNotEqualCondition(type, null)[type])[0];
+    case '>': return isDate ? 'after' : 'greater_than';
+    case '<': return isDate ? 'before' : 'less_than';
+    case '>=': return isDate ? 'on_or_after' : 'greater_than_or_equal_to';
+    case '<=': return isDate ? 'on_or_before' : 'less_than_or_equal_to';
+    default: return null;
+  }
+}
+
+/** List the filter operators that produce a legal condition for a property type */
+function getSupportedOperators(type) {
+  const allowed = TYPE_CONDITIONS[type];
+  if (!allowed) return ALL_OPERATORS.slice();
+  return ALL_OPERATORS.filter(op => allowed.includes(getConditionName(type, op)));
 }
 
 /** Get the Notion filter type key for a schema type */
@@ -153,7 +234,11 @@ function getDefaultCondition(type, value) {
     case 'select':
       return { select: { equals: value } };
     case 'multi_select':
-      return { multi_select: { contains: value } };
+    case 'people':
+    case 'relation':
+    case 'created_by':
+    case 'last_edited_by':
+      return { [type]: { contains: value } };
     case 'number':
       return { number: { equals: value } };
     case 'checkbox':
@@ -176,13 +261,17 @@ function getNotEqualCondition(type, value) {
     case 'select':
       return { select: { does_not_equal: value } };
     case 'multi_select':
-      return { multi_select: { does_not_contain: value } };
+    case 'people':
+    case 'relation':
+    case 'created_by':
+    case 'last_edited_by':
+      return { [type]: { does_not_contain: value } };
     case 'number':
       return { number: { does_not_equal: value } };
     case 'checkbox':
       return { checkbox: { does_not_equal: value } };
     case 'date':
-      // Notion doesn't have date does_not_equal; skip
+      // Notion has no date does_not_equal — validateCondition rejects this
       return { date: { does_not_equal: value } };
     case 'status':
       return { status: { does_not_equal: value } };
@@ -191,18 +280,57 @@ function getNotEqualCondition(type, value) {
   }
 }
 
+/** Lowercase a property name and drop everything but letters and digits */
+function squashPropertyName(name) {
+  return String(name).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Look up a schema entry by a user-typed property name.
+ * Tries, in order: case-insensitive exact match, kebab/snake case → spaces
+ * ("due-date" → "Due Date"), then a unique match ignoring spaces and punctuation.
+ */
+function findSchemaEntry(schema, key) {
+  const lower = String(key).trim().toLowerCase();
+  if (schema[lower]) return schema[lower];
+  const spaced = lower.replace(/[-_\s]+/g, ' ');
+  if (schema[spaced]) return schema[spaced];
+  const squashed = squashPropertyName(lower);
+  if (!squashed) return null;
+  const matches = Object.values(schema).filter(entry => squashPropertyName(entry.name) === squashed);
+  return matches.length === 1 ? matches[0] : null;
+}
+
 /**
  * Build a Notion filter object from a schema and a single filter string.
- * Supports operators: =, !=, >, <, >=, <=
- * Supports relative dates: today, yesterday, tomorrow, last_week, next_week
+ * Supports operators: =, !=, ==, !==, ~, !~, ^=, $=, >, <, >=, <=, is_empty, is_not_empty
+ * Supports relative dates (see lib/dates.js): today, +3d, this_week, next monday, ...
  */
 function buildFilterFromSchema(schema, filterStr) {
   const parsed = parseFilterOperator(filterStr);
   if (parsed.error) return parsed;
+  return buildFilterCondition(schema, parsed.key, parsed.operator, parsed.value);
+}
 
-  const { key, operator, value } = parsed;
-  const schemaEntry = schema[key.toLowerCase()];
+/**
+ * Build a single property filter from an already-parsed key, operator and value.
+ * Shared by --filter strings and --where expressions.
+ */
+function buildFilterCondition(schema, key, operator, value) {
+  let schemaEntry = findSchemaEntry(schema, key);
+  let modifiers = [];
   if (!schemaEntry) {
+    const split = splitKeyModifiers(schema, key);
+    if (split) {
+      schemaEntry = split.entry;
+      modifiers = split.modifiers;
+    }
+  }
+  if (!schemaEntry) {
+    const timestamp = TIMESTAMP_KEYS[key.toLowerCase()];
+    if (timestamp) return buildTimestampFilter(timestamp, operator, value);
+    const path = splitRelationPath(schema, key);
+    if (path) return buildRelationSubqueryFilter(path.entry, path.subKey, operator, value);
     return {
       error: `Filter property "${key}" not found in database schema.`,
       available: Object.values(schema).map(s => s.name),
@@ -212,6 +340,21 @@ function buildFilterFromSchema(schema, filterStr) {
   const propName = schemaEntry.name;
   const type = schemaEntry.type;
 
+  switch (type) {
+    case 'created_time':
+    case 'last_edited_time':
+      return buildTimestampFilter(type, operator, value);
+    case 'formula':
+      return buildFormulaFilter(schemaEntry, modifiers, operator, value);
+    case 'rollup':
+      return buildRollupFilter(schemaEntry, modifiers, operator, value);
+    default:
+      break;
+  }
+  if (modifiers.length > 0) {
+    return { error: `Filter modifiers like "${key}" only apply to formula and rollup properties.` };
+  }
+
   const condition = operatorToCondition(type, operator, value);
   if (condition && condition.error) {
     return condition;
@@ -223,6 +366,174 @@ function buildFilterFromSchema(schema, filterStr) {
   return { filter: { property: propName, ...condition } };
 }
 
+// ─── Formula, rollup and timestamp filters ───────────────────────────────────
+
+/** Bare keys that filter on page timestamps even without a matching property */
+const TIMESTAMP_KEYS = {
+  created_time: 'created_time',
+  'created-time': 'created_time',
+  last_edited_time: 'last_edited_time',
+  'last-edited-time': 'last_edited_time',
+};
+
+const FORMULA_TYPES = ['string', 'number', 'checkbox', 'date'];
+const ROLLUP_AGGREGATORS = ['any', 'every', 'none'];
+const ROLLUP_ITEM_TYPES = ['rich_text', 'number', 'checkbox', 'select', 'multi_select', 'status', 'date', 'people', 'relation', 'files'];
+const ROLLUP_DATE_FUNCTIONS = ['earliest_date', 'latest_date', 'date_range'];
+const ROLLUP_ARRAY_FUNCTIONS = ['show_original', 'show_unique'];
+
+/**
+ * Split "Prop:mod[:mod]" keys into a schema entry plus modifiers.
+ * Used for rollup aggregators ("Tasks:every=Done") and result types ("Score:number>5").
+ */
+function splitKeyModifiers(schema, key) {
+  const parts = key.split(':');
+  for (let i = parts.length - 1; i > 0; i--) {
+    const entry = findSchemaEntry(schema, parts.slice(0, i).join(':').trim());
+    if (entry) {
+      return { entry, modifiers: parts.slice(i).map(m => m.trim().toLowerCase()) };
+    }
+  }
+  return null;
+}
+
+// ─── Relation subqueries ─────────────────────────────────────────────────────
+
+/** Split "Project.Status" into the relation property and the key inside the related database */
+function splitRelationPath(schema, key) {
+  for (let i = key.indexOf('.'); i > 0; i = key.indexOf('.', i + 1)) {
+    const entry = findSchemaEntry(schema, key.slice(0, i).trim());
+    if (entry && entry.type === 'relation') {
+      return { entry, subKey: key.slice(i + 1).trim() };
+    }
+  }
+  return null;
+}
+
+/**
+ * "Project.Status=Active" → a placeholder { property, relation: { subquery } }.
+ * The subquery names the related data source, or its database when the schema
+ * only gives that; the context (resolveFilterReferences) runs it and replaces
+ * the placeholder with expandRelationSubquery().
+ */
+function buildRelationSubqueryFilter(entry, subKey, operator, value) {
+  if (!entry.dataSourceId && !entry.databaseId) {
+    return { error: `Cannot filter through "${entry.name}": its related database is unknown.` };
+  }
+  if (!subKey) {
+    return { error: `Missing related property after "${entry.name}." (e.g. ${entry.name}.Status=Active)` };
+  }
+  const target = entry.dataSourceId ? { data_source_id: entry.dataSourceId } : { database_id: entry.databaseId };
+  return {
+    filter: {
+      property: entry.name,
+      relation: { subquery: { ...target, key: subKey, operator, value } },
+    },
+  };
+}
+
+/**
+ * Turn the related pages a subquery matched into relation filters: one "contains"
+ * per page, ORed. With negate ("NOT Project.Status=Active"), pages must relate to
+ * none of them: one "does_not_contain" per page, ANDed. No matches → a filter
+ * nothing can satisfy, or everything when negated.
+ */
+function expandRelationSubquery(property, pageIds, { negate = false } = {}) {
+  if (pageIds.length === 0) {
+    return {
+      [negate ? 'or' : 'and']: [
+        { property, relation: { is_empty: true } },
+        { property, relation: { is_not_empty: true } },
+      ],
+    };
+  }
+  return negate
+    ? combineFilters('and', pageIds.map(id => ({ property, relation: { does_not_contain: id } })))
+    : combineFilters('or', pageIds.map(id => ({ property, relation: { contains: id } })));
+}
+
+/**
+ * Guess the value type of a formula result or rollup item from the filter itself.
+ * Only ISO dates and offsets like "-7d" count as dates: words such as "today" or
+ * "Mon" are just as likely text, so those need an explicit Prop:date.
+ */
+function inferValueType(operator, value) {
+  if (UNARY_OPERATORS.includes(operator)) return 'string';
+  const lower = String(value).toLowerCase();
+  if (lower === 'true' || lower === 'false') return 'checkbox';
+  if (value !== '' && !Number.isNaN(Number(value))) return 'number';
+  if (/^\d{4}-\d{2}-\d{2}/.test(value) || isDateOffset(value)) return 'date';
+  return 'string';
+}
+
+/** Filter on created_time / last_edited_time: { timestamp, [type]: dateCondition } */
+function buildTimestampFilter(timestamp, operator, value) {
+  const condition = operatorToCondition('date', operator, value);
+  if (!condition) return { error: `Operator "${operator}" not supported for ${timestamp}` };
+  if (condition.error) return condition;
+  return { filter: { timestamp, [timestamp]: condition.date } };
+}
+
+/**
+ * Formula filters are keyed on the formula's result type: { formula: { number: {...} } }.
+ * The API schema doesn't say what a formula returns, so the type comes from a
+ * Prop:type modifier or, failing that, is inferred from the filter value.
+ */
+function buildFormulaFilter(entry, modifiers, operator, value) {
+  const unknown = modifiers.filter(m => !FORMULA_TYPES.includes(m));
+  if (unknown.length > 0 || modifiers.length > 1) {
+    return { error: `Invalid formula modifier for "${entry.name}" (expected one of: ${FORMULA_TYPES.join(', ')})` };
+  }
+  const resultType = modifiers[0] || inferValueType(operator, value);
+  const buildType = resultType === 'string' ? 'rich_text' : resultType;
+  const condition = operatorToCondition(buildType, operator, value);
+  if (!condition || condition.error) {
+    const reason = condition ? condition.error : `Operator "${operator}" not supported for ${resultType} formulas`;
+    if (modifiers[0]) return { error: reason };
+    return {
+      error: `${reason} (result type of "${entry.name}" inferred as ${resultType} from the value; `
+        + `give it explicitly as "${entry.name}:${FORMULA_TYPES.join('|')}")`,
+    };
+  }
+  return { filter: { property: entry.name, formula: { [resultType]: condition[buildType] } } };
+}
+
+/**
+ * Rollup filters: number/date rollups compare the aggregated value, array rollups
+ * (show_original, or an explicit :any/:every/:none) test each related item.
+ */
+function buildRollupFilter(entry, modifiers, operator, value) {
+  let aggregator = null;
+  let itemType = null;
+  for (const m of modifiers) {
+    if (ROLLUP_AGGREGATORS.includes(m) && !aggregator) {
+      aggregator = m;
+    } else if ((ROLLUP_ITEM_TYPES.includes(m) || m === 'string') && !itemType) {
+      itemType = m === 'string' ? 'rich_text' : m;
+    } else {
+      return { error: `Invalid rollup modifier "${m}" for "${entry.name}" (expected any, every, none or an item type)` };
+    }
+  }
+
+  const fn = entry.rollupFunction;
+  if (!aggregator && !itemType && fn && !ROLLUP_ARRAY_FUNCTIONS.includes(fn)) {
+    const kind = ROLLUP_DATE_FUNCTIONS.includes(fn) ? 'date' : 'number';
+    const condition = operatorToCondition(kind, operator, value);
+    if (!condition) return { error: `Operator "${operator}" not supported for ${kind} rollups` };
+    if (condition.error) return condition;
+    return { filter: { property: entry.name, rollup: { [kind]: condition[kind] } } };
+  }
+
+  if (!itemType) {
+    const inferred = inferValueType(operator, value);
+    itemType = inferred === 'string' ? 'rich_text' : inferred;
+  }
+  const condition = operatorToCondition(itemType, operator, value);
+  if (!condition) return { error: `Operator "${operator}" not supported for ${itemType} rollup items` };
+  if (condition.error) return condition;
+  return { filter: { property: entry.name, rollup: { [aggregator || 'any']: condition } } };
+}
+
 /**
  * Build a compound AND filter from multiple filter strings.
  * Each filter is parsed independently, then combined with AND.
@@ -245,6 +556,384 @@ function buildCompoundFilter(schema, filterStrs) {
   return { filter: { and: filters } };
 }
 
+// ─── --where expressions ─────────────────────────────────────────────────────
+
+/** Notion accepts compound filters nested at most two levels deep */
+const MAX_FILTER_DEPTH = 2;
+
+/** Operator to use when a condition sits under NOT */
+const NEGATED_OPERATORS = {
+  '=': '!=',
+  '!=': '=',
+  '==': '!==',
+  '!==': '==',
+  '~': '!~',
+  '!~': '~',
+  is_empty: 'is_not_empty',
+  is_not_empty: 'is_empty',
+  '>': '<=',
+  '<': '>=',
+  '>=': '<',
+  '<=': '>',
+};
+
+/**
+ * Split a --where expression into tokens: parentheses, AND/OR/NOT keywords and
+ * condition text. Quoted strings are kept intact, so values containing spaces,
+ * parentheses or keywords must be quoted: Name="Rock (Live) AND Roll".
+ */
+function tokenizeWhere(expr) {
+  const tokens = [];
+  let cond = null;
+
+  const flush = () => {
+    if (cond) {
+      tokens.push({ type: 'cond', value: expr.slice(cond.start, cond.end), pos: cond.start });
+      cond = null;
+    }
+  };
+
+  let i = 0;
+  while (i < expr.length) {
+    const ch = expr[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === '(' || ch === ')') {
+      flush();
+      tokens.push({ type: ch === '(' ? 'lparen' : 'rparen', pos: i });
+      i++;
+      continue;
+    }
+
+    // Read one word, keeping quoted sections (and anything inside them) together
+    const start = i;
+    let inQuote = null;
+    let quoted = false;
+    while (i < expr.length) {
+      const c = expr[i];
+      if (inQuote) {
+        if (c === inQuote) inQuote = null;
+      } else if (c === '"' || c === "'") {
+        inQuote = c;
+        quoted = true;
+      } else if (/\s/.test(c) || c === '(' || c === ')') {
+        break;
+      }
+      i++;
+    }
+    if (inQuote) {
+      return { error: `Invalid --where expression: unterminated quote at position ${start + 1}` };
+    }
+
+    const word = expr.slice(start, i);
+    const upper = quoted ? null : word.toUpperCase();
+    // NOT only acts as a keyword in prefix position, so "Status = Not Started" still works
+    if (upper === 'AND' || upper === 'OR' || (upper === 'NOT' && !cond)) {
+      flush();
+      tokens.push({ type: upper.toLowerCase(), pos: start });
+      continue;
+    }
+    if (cond) {
+      cond.end = i;
+    } else {
+      cond = { start, end: i };
+    }
+  }
+  flush();
+  return { tokens };
+}
+
+/**
+ * Parse a --where expression into a tree of
+ * { type: 'and'|'or', children } / { type: 'not', child } / { type: 'cond', value }.
+ * Precedence: NOT binds tighter than AND, which binds tighter than OR.
+ */
+function parseWhereExpression(expr) {
+  if (typeof expr !== 'string' || expr.trim() === '') {
+    return { error: 'Invalid --where expression: expression is empty' };
+  }
+  const tokenized = tokenizeWhere(expr);
+  if (tokenized.error) return tokenized;
+  const { tokens } = tokenized;
+  let pos = 0;
+
+  const describe = (tok) => {
+    if (!tok) return 'end of expression';
+    if (tok.type === 'cond') return `"${tok.value}"`;
+    if (tok.type === 'lparen') return '"("';
+    if (tok.type === 'rparen') return '")"';
+    return tok.type.toUpperCase();
+  };
+  const fail = (tok) => ({
+    error: `Invalid --where expression: unexpected ${describe(tok)}${tok ? ` at position ${tok.pos + 1}` : ''}`,
+  });
+
+  function parseBinary(type, parseOperand) {
+    const first = parseOperand();
+    if (first.error) return first;
+    const children = [first];
+    while (tokens[pos] && tokens[pos].type === type) {
+      pos++;
+      const next = parseOperand();
+      if (next.error) return next;
+      children.push(next);
+    }
+    return children.length === 1 ? first : { type, children };
+  }
+
+  function parseOr() {
+    return parseBinary('or', parseAnd);
+  }
+
+  function parseAnd() {
+    return parseBinary('and', parseUnary);
+  }
+
+  function parseUnary() {
+    const tok = tokens[pos];
+    if (!tok) return fail(tok);
+    if (tok.type === 'not') {
+      pos++;
+      const child = parseUnary();
+      if (child.error) return child;
+      return { type: 'not', child };
+    }
+    if (tok.type === 'lparen') {
+      pos++;
+      const inner = parseOr();
+      if (inner.error) return inner;
+      if (!tokens[pos] || tokens[pos].type !== 'rparen') {
+        return tokens[pos] ? fail(tokens[pos]) : { error: 'Invalid --where expression: missing closing ")"' };
+      }
+      pos++;
+      return inner;
+    }
+    if (tok.type === 'cond') {
+      pos++;
+      return { type: 'cond', value: tok.value };
+    }
+    return fail(tok);
+  }
+
+  const tree = parseOr();
+  if (tree.error) return tree;
+  if (pos < tokens.length) return fail(tokens[pos]);
+  return { tree };
+}
+
+/** Strip one pair of matching surrounding quotes */
+function unquote(str) {
+  if (str.length >= 2) {
+    const first = str[0];
+    if ((first === '"' || first === "'") && str[str.length - 1] === first) {
+      return str.slice(1, -1);
+    }
+  }
+  return str;
+}
+
+/** Depth of compound (and/or) nesting in a Notion filter object */
+function filterDepth(filter) {
+  const children = filter.and || filter.or;
+  if (!children) return 0;
+  return 1 + Math.max(0, ...children.map(filterDepth));
+}
+
+/**
+ * Join filters under one compound key, flattening children that already use
+ * the same key so that (a AND b) AND c stays a single level.
+ */
+function combineFilters(kind, filters) {
+  const flat = [];
+  for (const f of filters) {
+    if (f[kind]) {
+      flat.push(...f[kind]);
+    } else {
+      flat.push(f);
+    }
+  }
+  if (flat.length === 1) return flat[0];
+  return { [kind]: flat };
+}
+
+/** Compile a parsed --where tree into a Notion filter, pushing NOT down to the leaves */
+function compileWhereTree(schema, node, negate) {
+  if (node.type === 'not') {
+    return compileWhereTree(schema, node.child, !negate);
+  }
+
+  if (node.type === 'and' || node.type === 'or') {
+    // De Morgan: NOT (a AND b) → NOT a OR NOT b
+    const kind = negate ? (node.type === 'and' ? 'or' : 'and') : node.type;
+    const compiled = [];
+    for (const child of node.children) {
+      const result = compileWhereTree(schema, child, negate);
+      if (result.error) return result;
+      compiled.push(result.filter);
+    }
+    return { filter: combineFilters(kind, compiled) };
+  }
+
+  const parsed = parseFilterOperator(node.value);
+  if (parsed.error) return parsed;
+  const key = unquote(parsed.key.trim());
+  const value = unquote(parsed.value.trim());
+  let operator = parsed.operator;
+  if (negate) {
+    // "NOT Project.Status=Active" means no related page matches, not that some related page doesn't
+    const direct = buildFilterCondition(schema, key, operator, value);
+    const subquery = direct.filter && direct.filter.relation && direct.filter.relation.subquery;
+    if (subquery) {
+      subquery.negate = true;
+      return direct;
+    }
+    operator = NEGATED_OPERATORS[operator];
+    if (!operator) {
+      return { error: `Operator "${parsed.operator}" cannot be negated with NOT (in "${node.value}")` };
+    }
+  }
+  return buildFilterCondition(schema, key, operator, value);
+}
+
+/**
+ * Build a Notion filter from a boolean --where expression.
+ * Example: (Status=Active OR Status=Blocked) AND Priority>=3 AND NOT Archived=true
+ */
+function buildWhereFilter(schema, expr) {
+  const parsed = parseWhereExpression(expr);
+  if (parsed.error) return parsed;
+  const result = compileWhereTree(schema, parsed.tree, false);
+  if (result.error) return result;
+  if (filterDepth(result.filter) > MAX_FILTER_DEPTH) {
+    return { error: `Filter expression nests too deeply: Notion allows at most ${MAX_FILTER_DEPTH} levels of AND/OR groups.` };
+  }
+  return result;
+}
+
+/**
+ * Build one Notion filter from repeatable --filter strings and an optional
+ * --where expression. All parts are combined with AND.
+ */
+function buildQueryFilter(schema, filterStrs, whereExpr) {
+  const parts = [];
+  if (Array.isArray(filterStrs) && filterStrs.length > 0) {
+    const result = buildCompoundFilter(schema, filterStrs);
+    if (result.error) return result;
+    parts.push(result.filter);
+  }
+  if (whereExpr) {
+    const result = buildWhereFilter(schema, whereExpr);
+    if (result.error) return result;
+    parts.push(result.filter);
+  }
+  if (parts.length === 0) {
+    return { error: 'No filters provided' };
+  }
+  const filter = combineFilters('and', parts);
+  if (filterDepth(filter) > MAX_FILTER_DEPTH) {
+    return { error: `Filter expression nests too deeply: Notion allows at most ${MAX_FILTER_DEPTH} levels of AND/OR groups.` };
+  }
+  return { filter };
+}
+
+// ─── Sorts ───────────────────────────────────────────────────────────────────
+
+const SORT_DIRECTIONS = {
+  asc: 'ascending',
+  ascending: 'ascending',
+  desc: 'descending',
+  descending: 'descending',
+};
+
+/**
+ * Parse a "key:direction" sort string into { key, direction }.
+ * The direction is optional (default ascending); keys may contain colons.
+ */
+function parseSortString(sortStr) {
+  const idx = sortStr.lastIndexOf(':');
+  if (idx !== -1) {
+    const dir = sortStr.slice(idx + 1).trim().toLowerCase();
+    if (SORT_DIRECTIONS[dir]) {
+      return { key: sortStr.slice(0, idx).trim(), direction: SORT_DIRECTIONS[dir] };
+    }
+    if (dir === '' || /^[a-z]+$/.test(dir)) {
+      return { error: `Invalid sort direction "${sortStr.slice(idx + 1)}" in "${sortStr}" (expected asc or desc)` };
+    }
+  }
+  return { key: sortStr.trim(), direction: 'ascending' };
+}
+
+/**
+ * Build Notion sorts from repeatable --sort strings, in precedence order.
+ * created_time / last_edited_time without a matching property become timestamp sorts.
+ */
+function buildSortsFromSchema(schema, sortStrs) {
+  const list = Array.isArray(sortStrs) ? sortStrs : [sortStrs];
+  const sorts = [];
+  for (const sortStr of list) {
+    let parsed = parseSortString(sortStr);
+    if (parsed.error) {
+      // "Q:A" is a property name, not "Q" sorted in direction "A"
+      if (!findSchemaEntry(schema, sortStr)) return parsed;
+      parsed = { key: sortStr.trim(), direction: 'ascending' };
+    }
+    const entry = findSchemaEntry(schema, parsed.key);
+    if (entry) {
+      sorts.push({ property: entry.name, direction: parsed.direction });
+      continue;
+    }
+    const timestamp = TIMESTAMP_KEYS[parsed.key.toLowerCase()];
+    if (timestamp) {
+      sorts.push({ timestamp, direction: parsed.direction });
+      continue;
+    }
+    return {
+      error: `Sort property "${parsed.key}" not found.`,
+      available: [...Object.values(schema).map(e => e.name), 'created_time', 'last_edited_time'],
+    };
+  }
+  return { sorts };
+}
+
+// ─── Search ──────────────────────────────────────────────────────────────────
+
+/** --type values for search; databases are data sources in API 2025-09-03 */
+const SEARCH_TYPES = {
+  page: 'page',
+  pages: 'page',
+  database: 'data_source',
+  databases: 'data_source',
+  db: 'data_source',
+  data_source: 'data_source',
+};
+
+/** Keys `search --sort` accepts — Notion only sorts search results by last edit */
+const SEARCH_SORT_KEYS = ['edited', 'last_edited', 'last_edited_time', 'last-edited-time'];
+
+/**
+ * Build the filter / sort parameters for notion.search from --type and --sort.
+ * Returns { filter?, sort? } or { error }.
+ */
+function buildSearchOptions({ type, sort } = {}) {
+  const options = {};
+  if (type) {
+    const value = SEARCH_TYPES[String(type).trim().toLowerCase()];
+    if (!value) return { error: `Unknown search type "${type}". Use page or database.` };
+    options.filter = { property: 'object', value };
+  }
+  if (sort) {
+    const parsed = parseSortString(String(sort));
+    if (parsed.error) return { error: parsed.error };
+    if (!SEARCH_SORT_KEYS.includes(parsed.key.toLowerCase())) {
+      return { error: `Cannot sort search results by "${parsed.key}". Use edited:asc or edited:desc.` };
+    }
+    options.sort = { timestamp: 'last_edited_time', direction: parsed.direction };
+  }
+  return options;
+}
+
 module.exports = {
   parseFilterOperator,
   resolveRelativeDate,
@@ -252,6 +941,25 @@ module.exports = {
   getDefaultCondition,
   getNotEqualCondition,
   getFilterType,
+  getConditionName,
+  getSupportedOperators,
+  inferValueType,
+  TYPE_CONDITIONS,
+  TIMESTAMP_KEYS,
+  squashPropertyName,
+  findSchemaEntry,
   buildFilterFromSchema,
+  buildFilterCondition,
   buildCompoundFilter,
+  tokenizeWhere,
+  parseWhereExpression,
+  combineFilters,
+  filterDepth,
+  MAX_FILTER_DEPTH,
+  expandRelationSubquery,
+  buildWhereFilter,
+  buildQueryFilter,
+  parseSortString,
+  buildSortsFromSchema,
+  buildSearchOptions,
 };
@@ -1,5 +1,8 @@
 // lib/format.js — Output formatting (tables, CSV, YAML, property values)
 
+const { resolveRelativeDate } = require('./dates');
+const { squashPropertyName } = require('./filters');
+
 /** UUID regex pattern used for validation */
 const UUID_REGEX = /^[0-9a-f-]{32,36}$/i;
 const ISO_DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
@@ -22,6 +25,57 @@ function isValidIsoDate(value) {
   return false;
 }
 
+const LOCAL_DATE_TIME_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?$/;
+const TIME_ZONE_SUFFIX_REGEX = /\s+(UTC|[A-Za-z_]+(?:\/[A-Za-z0-9_+-]+)+)$/;
+const DATE_ERROR_HINT = 'expected YYYY-MM-DD, full ISO 8601 or a relative date like today, +3d, next monday';
+
+/** True when Intl knows the IANA time zone name */
+function isValidTimeZone(zone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse a date property value: a single date, a "start..end" range, and an
+ * optional trailing IANA time zone ("2025-01-05T09:00 Europe/Berlin").
+ * Each side may be a relative date. With a time zone, date-times may omit the offset.
+ * Returns { start, end?, time_zone? } or { error }.
+ */
+function parseDateValue(value) {
+  let text = String(value).trim();
+  let timeZone = null;
+  const zoneMatch = text.match(TIME_ZONE_SUFFIX_REGEX);
+  if (zoneMatch) {
+    if (!isValidTimeZone(zoneMatch[1])) return { error: `Unknown time zone: "${zoneMatch[1]}"` };
+    timeZone = zoneMatch[1];
+    text = text.slice(0, zoneMatch.index).trim();
+  }
+
+  const parts = text.split('..').map(part => part.trim());
+  if (parts.length > 2 || parts.some(part => part === '')) {
+    return { error: `Invalid date range: "${value}" (expected start..end)` };
+  }
+  const resolved = [];
+  for (const part of parts) {
+    const date = resolveRelativeDate(part);
+    const valid = isValidIsoDate(date) || (timeZone && LOCAL_DATE_TIME_REGEX.test(date) && !Number.isNaN(new Date(date).getTime()));
+    if (!valid) return { error: `Invalid date value: "${parts.length > 1 || timeZone ? part : value}" (${DATE_ERROR_HINT})` };
+    resolved.push(date);
+  }
+  if (resolved.length === 2 && new Date(resolved[1]) < new Date(resolved[0])) {
+    return { error: `Invalid date range: "${value}" ends before it starts` };
+  }
+
+  const date = { start: resolved[0] };
+  if (resolved.length === 2) date.end = resolved[1];
+  if (timeZone) date.time_zone = timeZone;
+  return date;
+}
+
 /** Extract plain text from rich_text array */
 function richTextToPlain(rt) {
   if (!rt) return '';
@@ -98,13 +152,50 @@ function propValue(prop) {
   }
 }
 
+/** Notion's limit on the text content of a single rich text run */
+const MAX_RICH_TEXT_LENGTH = 2000;
+
+/**
+ * Split text runs longer than max into consecutive runs with the same
+ * annotations and link, so long values don't fail validation.
+ */
+function splitRichText(richText, max = MAX_RICH_TEXT_LENGTH) {
+  const runs = [];
+  for (const run of richText) {
+    const content = run.text && run.text.content;
+    if (typeof content !== 'string' || content.length <= max) {
+      runs.push(run);
+      continue;
+    }
+    let start = 0;
+    while (start < content.length) {
+      let end = Math.min(start + max, content.length);
+      // Don't cut a surrogate pair (emoji) in half
+      if (end < content.length && /[\uDC00-\uDFFF]/.test(content[end])) end--;
+      runs.push({ ...run, text: { ...run.text, content: content.slice(start, end) } });
+      start = end;
+    }
+  }
+  return runs;
+}
+
+/** Last path segment of a URL, used as the display name of an external file */
+function fileNameFromUrl(url) {
+  try {
+    const name = decodeURIComponent(new URL(url).pathname.split('/').filter(Boolean).pop() || '');
+    return (name || url).slice(0, 100);
+  } catch {
+    return url.slice(0, 100);
+  }
+}
+
 /** Build property value for Notion API based on schema type */
 function buildPropValue(type, value) {
   switch (type) {
     case 'title':
-      return { title: [{ text: { content: value } }] };
+      return { title: splitRichText([{ text: { content: value } }]) };
     case 'rich_text':
-      return { rich_text: [{ text: { content: value } }] };
+      return { rich_text: splitRichText([{ text: { content: value } }]) };
     case 'number': {
       const num = Number(value);
       if (Number.isNaN(num)) {
@@ -116,11 +207,10 @@ function buildPropValue(type, value) {
       return { select: { name: value } };
     case 'multi_select':
       return { multi_select: value.split(',').map(v => ({ name: v.trim() })) };
-    case 'date':
-      if (!isValidIsoDate(value)) {
-        return { error: `Invalid date value: "${value}" (expected YYYY-MM-DD or full ISO 8601)` };
-      }
-      return { date: { start: value } };
+    case 'date': {
+      const date = parseDateValue(value);
+      return date.error ? date : { date };
+    }
     case 'checkbox':
       return { checkbox: value === 'true' || value === '1' || value === 'yes' };
     case 'url':
@@ -137,6 +227,17 @@ function buildPropValue(type, value) {
       return { phone_number: value };
     case 'status':
       return { status: { name: value } };
+    case 'people': case 'relation':
+      // Expects IDs — names, emails and page titles are resolved by the caller
+      return { [type]: value.split(',').map(v => v.trim()).filter(Boolean).map(id => ({ id })) };
+    case 'files': {
+      const urls = value.split(',').map(v => v.trim()).filter(Boolean);
+      const invalid = urls.find(url => !/^https?:\/\//.test(url));
+      if (invalid) {
+        return { error: `Invalid file URL: "${invalid}" (expected http:// or https://)` };
+      }
+      return { files: urls.map(url => ({ name: fileNameFromUrl(url), type: 'external', external: { url } })) };
+    }
     default:
       return { [type]: value };
   }
@@ -193,66 +294,261 @@ function pagesToRows(pages) {
   });
 }
 
-/** Format rows as CSV string */
-function formatCsv(rows, columns) {
-  if (!rows || rows.length === 0) return '(no results)';
-  const escape = (val) => {
+/** Split a comma-separated column list ("Name, Status,Due") into names */
+function parseColumnList(value) {
+  if (Array.isArray(value)) return value.flatMap(parseColumnList);
+  if (!value) return [];
+  return String(value).split(',').map(c => c.trim()).filter(Boolean);
+}
+
+/**
+ * Choose and order output columns.
+ * `columns` picks (in order), `exclude` drops; names match case-insensitively
+ * and ignoring spaces/punctuation. Returns { columns } or { error, available }.
+ */
+function selectColumns(available, { columns, exclude } = {}) {
+  const match = (name) => {
+    const lower = name.toLowerCase();
+    return available.find(c => c.toLowerCase() === lower)
+      || available.find(c => squashPropertyName(c) === squashPropertyName(name))
+      || null;
+  };
+
+  let selected = available.slice();
+  const picks = parseColumnList(columns);
+  if (picks.length > 0) {
+    selected = [];
+    for (const name of picks) {
+      const col = match(name);
+      if (!col) return { error: `Unknown column "${name}".`, available };
+      if (!selected.includes(col)) selected.push(col);
+    }
+  }
+  for (const name of parseColumnList(exclude)) {
+    const col = match(name);
+    if (!col) return { error: `Unknown column "${name}".`, available };
+    selected = selected.filter(c => c !== col);
+  }
+  if (selected.length === 0) {
+    return { error: 'No columns left to display.', available };
+  }
+  return { columns: selected };
+}
+
+/** Format one CSV line, quoting values that contain commas, quotes or newlines */
+function csvLine(values) {
+  return values.map((val) => {
     const s = String(val ?? '');
     if (s.includes(',') || s.includes('"') || s.includes('\n')) {
       return '"' + s.replace(/"/g, '""') + '"';
     }
     return s;
-  };
-  const lines = [columns.map(escape).join(',')];
-  for (const row of rows) {
-    lines.push(columns.map(c => escape(row[c])).join(','));
+  }).join(',');
+}
+
+/** Format one TSV line; tabs, newlines and backslashes are escaped as \t, \n, \\ */
+function tsvLine(values) {
+  return values.map(val => String(val ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\t/g, '\\t')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/\r/g, '\\r')).join('\t');
+}
+
+/** Escape a GFM table cell: pipes become \|, newlines become <br> */
+function markdownCell(val) {
+  return String(val ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/** Escape text for HTML element content and attribute values */
+function escapeHtml(val) {
+  return String(val ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/** One YAML list item; items after the first start with a blank line */
+function yamlItem(row, columns, index) {
+  const lines = index > 0 ? [''] : [];
+  lines.push(`- # result ${index + 1}`);
+  for (const col of columns) {
+    const val = String(row[col] ?? '');
+    const needsQuote = val.includes(':') || val.includes('#') || val.includes('"') || val.includes("'") || val.includes('\n') || val === '';
+    lines.push(`  ${col}: ${needsQuote ? '"' + val.replace(/"/g, '\\"') + '"' : val}`);
   }
   return lines.join('\n');
 }
 
+/** Keep only the given columns of a row, in order */
+function pickColumns(row, columns) {
+  const picked = {};
+  for (const col of columns) picked[col] = row[col] ?? '';
+  return picked;
+}
+
+const HTML_HEAD = [
+  '<!DOCTYPE html>',
+  '<html>',
+  '<head>',
+  '<meta charset="utf-8">',
+  '<title>notioncli</title>',
+  '<style>table{border-collapse:collapse}th,td{border:1px solid #ccc;padding:4px 8px;text-align:left;vertical-align:top}</style>',
+  '</head>',
+  '<body>',
+  '<table>',
+].join('\n');
+
+/**
+ * Output format registry — every command that prints rows gets all of these.
+ * Line-based formats define header(columns), row(row, columns, index) and
+ * footer(), which lets them stream batch by batch; the rest define render()
+ * or print().
+ */
+const OUTPUT_FORMATS = {
+  table: {
+    description: 'aligned text table',
+    print: (rows, columns) => printTable(rows, columns),
+  },
+  csv: {
+    description: 'comma-separated values',
+    header: columns => csvLine(columns),
+    row: (row, columns) => csvLine(columns.map(c => row[c])),
+  },
+  tsv: {
+    description: 'tab-separated values',
+    header: columns => tsvLine(columns),
+    row: (row, columns) => tsvLine(columns.map(c => row[c])),
+  },
+  md: {
+    description: 'GitHub-flavored Markdown table',
+    header: columns => [
+      `| ${columns.map(markdownCell).join(' | ')} |`,
+      `| ${columns.map(() => '---').join(' | ')} |`,
+    ].join('\n'),
+    row: (row, columns) => `| ${columns.map(c => markdownCell(row[c])).join(' | ')} |`,
+  },
+  html: {
+    description: 'standalone HTML table',
+    header: columns => `${HTML_HEAD}\n<thead>\n<tr>${columns.map(c => `<th>${escapeHtml(c)}</th>`).join('')}</tr>\n</thead>\n<tbody>`,
+    row: (row, columns) => `<tr>${columns.map(c => `<td>${escapeHtml(row[c]).replace(/\r?\n/g, '<br>')}</td>`).join('')}</tr>`,
+    footer: () => '</tbody>\n</table>\n</body>\n</html>',
+  },
+  yaml: {
+    description: 'YAML list',
+    row: yamlItem,
+  },
+  json: {
+    description: 'JSON array',
+    render: (rows, columns) => JSON.stringify(rows.map(row => pickColumns(row, columns)), null, 2),
+  },
+  ndjson: {
+    description: 'one JSON object per line',
+    row: (row, columns) => JSON.stringify(pickColumns(row, columns)),
+    empty: '',
+  },
+};
+
+const OUTPUT_FORMAT_NAMES = Object.keys(OUTPUT_FORMATS);
+
+/** Formats that can be written batch by batch as pages arrive */
+const STREAM_FORMATS = OUTPUT_FORMAT_NAMES.filter(name => OUTPUT_FORMATS[name].row);
+
+/** Look up a format in the registry (or pass a format spec object through); throws on unknown names */
+function getOutputFormat(format) {
+  if (format && typeof format === 'object') return format;
+  const spec = OUTPUT_FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unknown output format "${format}". Available: ${OUTPUT_FORMAT_NAMES.join(', ')}`);
+  }
+  return spec;
+}
+
+/** Render rows as a string in any non-table format */
+function formatRows(rows, columns, format) {
+  const spec = getOutputFormat(format);
+  if (spec.render) return spec.render(rows || [], columns);
+  if (!rows || rows.length === 0) return spec.empty ?? '(no results)';
+  const parts = [];
+  if (spec.header) parts.push(spec.header(columns));
+  rows.forEach((row, i) => parts.push(spec.row(row, columns, i)));
+  if (spec.footer) parts.push(spec.footer());
+  return parts.join('\n');
+}
+
+/** Format rows as CSV string */
+function formatCsv(rows, columns) {
+  return formatRows(rows, columns, 'csv');
+}
+
 /** Format rows as YAML string */
 function formatYaml(rows, columns) {
-  if (!rows || rows.length === 0) return '(no results)';
-  const lines = [];
-  for (let i = 0; i < rows.length; i++) {
-    if (i > 0) lines.push('');
-    lines.push(`- # result ${i + 1}`);
-    for (const col of columns) {
-      const val = String(rows[i][col] ?? '');
-      const needsQuote = val.includes(':') || val.includes('#') || val.includes('"') || val.includes("'") || val.includes('\n') || val === '';
-      lines.push(`  ${col}: ${needsQuote ? '"' + val.replace(/"/g, '\\"') + '"' : val}`);
-    }
+  return formatRows(rows, columns, 'yaml');
+}
+
+/** Output rows in the specified format (default: table) */
+function outputFormatted(rows, columns, format = 'table') {
+  const spec = getOutputFormat(format);
+  if (spec.print) {
+    spec.print(rows, columns);
+    return;
   }
-  return lines.join('\n');
+  const text = formatRows(rows, columns, format);
+  if (text !== '') console.log(text);
 }
 
-/** Output rows in the specified format */
-function outputFormatted(rows, columns, format) {
-  switch (format) {
-    case 'csv':
-      console.log(formatCsv(rows, columns));
-      break;
-    case 'yaml':
-      console.log(formatYaml(rows, columns));
-      break;
-    case 'json':
-      console.log(JSON.stringify(rows, null, 2));
-      break;
-    case 'table':
-    default:
-      printTable(rows, columns);
-      break;
+/**
+ * Write paginated batches (see paginateIter) as they arrive, in any
+ * line-based format. Each batch is mapped through toRows (e.g. pagesToRows, may be async).
+ * Returns { count, last } where last is the final batch (truncation info).
+ */
+async function streamFormatted(batches, format, { toRows = r => r, columns } = {}) {
+  const spec = getOutputFormat(format);
+  if (!spec.row) {
+    throw new Error(`Cannot stream ${format} output. Streaming formats: ${STREAM_FORMATS.join(', ')}`);
+  }
+  let count = 0;
+  let cols = columns;
+  let last = null;
+  for await (const batch of batches) {
+    last = batch;
+    const rows = await toRows(batch.results);
+    if (rows.length === 0) continue;
+    if (!cols) cols = Object.keys(rows[0]);
+    if (count === 0 && spec.header) console.log(spec.header(cols));
+    console.log(rows.map((row, i) => spec.row(row, cols, count + i)).join('\n'));
+    count += rows.length;
+  }
+  if (count === 0) {
+    const empty = spec.empty ?? '(no results)';
+    if (empty !== '') console.log(empty);
+  } else if (spec.footer) {
+    console.log(spec.footer());
   }
+  return { count, last };
 }
 
 module.exports = {
   UUID_REGEX,
   richTextToPlain,
   propValue,
+  parseDateValue,
+  MAX_RICH_TEXT_LENGTH,
+  splitRichText,
   buildPropValue,
   printTable,
   pagesToRows,
+  parseColumnList,
+  selectColumns,
   formatCsv,
   formatYaml,
+  OUTPUT_FORMATS,
+  OUTPUT_FORMAT_NAMES,
+  STREAM_FORMATS,
+  getOutputFormat,
+  formatRows,
   outputFormatted,
+  streamFormatted,
 };
@@ -1,16 +1,36 @@
 // lib/helpers.js — Re-exports all modules for backward compatibility
+const aggregate = require('./aggregate');
+const bulk = require('./bulk');
+const cache = require('./cache');
+const cassette = require('./cassette');
 const config = require('./config');
+const dates = require('./dates');
 const filters = require('./filters');
 const format = require('./format');
+const ids = require('./ids');
 const markdown = require('./markdown');
 const paginate = require('./paginate');
 const retry = require('./retry');
+const scheduler = require('./scheduler');
+const template = require('./template');
+const trace = require('./trace');
+const updates = require('./updates');
 
 module.exports = {
+  ...aggregate,
+  ...bulk,
+  ...cache,
+  ...cassette,
   ...config,
+  ...dates,
   ...filters,
   ...format,
+  ...ids,
   ...markdown,
   ...paginate,
   ...retry,
+  ...scheduler,
+  ...template,
+  ...trace,
+  ...updates,
 };
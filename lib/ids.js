@@ -0,0 +1,67 @@
+// lib/ids.js — Notion ID, URL and title reference parsing
+
+const COMPACT_ID_REGEX = /^[0-9a-f]{32}$/i;
+const TRAILING_ID_REGEX = /([0-9a-f]{32})$/i;
+const TITLE_REFERENCE_REGEX = /^title:\s*(.*)$/is;
+
+/** Hyphenate a 32-char compact ID as 8-4-4-4-12 */
+function hyphenateId(compact) {
+  const id = compact.toLowerCase();
+  return `${id.slice(0, 8)}-${id.slice(8, 12)}-${id.slice(12, 16)}-${id.slice(16, 20)}-${id.slice(20)}`;
+}
+
+/** Compact ID at the end of a string (path segment, fragment), ignoring hyphens, or null */
+function trailingId(text) {
+  const match = String(text || '').replace(/-/g, '').match(TRAILING_ID_REGEX);
+  return match ? match[1] : null;
+}
+
+/**
+ * Normalize a page, database or block reference to a hyphenated UUID.
+ * Accepts UUIDs, 32-char compact IDs and Notion URLs:
+ *   https://www.notion.so/My-Page-1a2b3c…       (page or database)
+ *   https://www.notion.so/ws/1a2b3c…?v=…        (database view)
+ *   https://www.notion.so/…?p=1a2b3c…            (page opened as a peek)
+ *   https://www.notion.so/My-Page-1a2b3c…#4d5e… (block link)
+ * A block link's #fragment is only used with { block: true }; otherwise the page ID wins.
+ * Returns null when the value is none of these.
+ */
+function normalizeNotionId(value, { block = false } = {}) {
+  const text = String(value || '').trim();
+  if (COMPACT_ID_REGEX.test(text.replace(/-/g, ''))) return hyphenateId(text.replace(/-/g, ''));
+
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+  } catch {
+    return null;
+  }
+  if (!/(^|\.)notion\.(so|site)$/i.test(url.hostname)) return null;
+
+  const fragmentId = trailingId(url.hash.slice(1));
+  if (block && fragmentId) return hyphenateId(fragmentId);
+  const peekId = trailingId(url.searchParams.get('p'));
+  if (peekId) return hyphenateId(peekId);
+  const segments = url.pathname.split('/').filter(Boolean);
+  const pathId = segments.length > 0 ? trailingId(decodeURIComponent(segments[segments.length - 1])) : null;
+  return pathId ? hyphenateId(pathId) : null;
+}
+
+/**
+ * Parse a title:"Some Page" reference (quotes optional) into the title, or null.
+ * Resolved through search by the caller.
+ */
+function parseTitleReference(value) {
+  const match = String(value || '').trim().match(TITLE_REFERENCE_REGEX);
+  if (!match) return null;
+  let title = match[1].trim();
+  if (title.length >= 2 && (title[0] === '"' || title[0] === "'") && title.endsWith(title[0])) {
+    title = title.slice(1, -1);
+  }
+  return title || null;
+}
+
+module.exports = {
+  normalizeNotionId,
+  parseTitleReference,
+};
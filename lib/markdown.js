@@ -211,6 +211,40 @@ function parseInlineFormatting(text) {
   return segments;
 }
 
+const MENTION_REGEX = /(^|[\s(])@(?:\[([^\]]+)\]|([A-Za-z0-9._%+-]+(?:@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+)?))/g;
+
+/**
+ * Split text into plain parts and @mentions for property values:
+ *   @me, @Ada, @ada@example.com       → { mention: 'Ada', bracketed: false, raw }
+ *   @[Ada Lovelace], @[title:Roadmap] → { mention: 'Ada Lovelace', bracketed: true, raw }
+ * Plain parts are { text }. The caller decides what each mention refers to.
+ */
+function splitMentions(text) {
+  const parts = [];
+  let lastIdx = 0;
+  let match;
+  MENTION_REGEX.lastIndex = 0;
+
+  while ((match = MENTION_REGEX.exec(text)) !== null) {
+    const start = match.index + match[1].length;
+    let raw = match[0].slice(match[1].length);
+    let mention = match[2] || match[3];
+    if (!match[2]) {
+      // "thanks @ada." — a trailing period ends the sentence, not the name
+      const trimmed = mention.replace(/\.+$/, '');
+      raw = raw.slice(0, raw.length - (mention.length - trimmed.length));
+      mention = trimmed;
+    }
+    if (!mention.trim()) continue;
+    if (start > lastIdx) parts.push({ text: text.slice(lastIdx, start) });
+    parts.push({ mention: mention.trim(), bracketed: !!match[2], raw });
+    lastIdx = start + raw.length;
+  }
+
+  if (lastIdx < text.length) parts.push({ text: text.slice(lastIdx) });
+  return parts;
+}
+
 /**
  * Convert Notion rich_text array into markdown with annotations.
  */
@@ -416,12 +450,29 @@ function kebabToProperty(kebab, schema) {
   return null;
 }
 
+/**
+ * Flag names commander registered on a command and its parents (the global
+ * flags), without dashes — the knownFlags for extractDynamicProps().
+ */
+function registeredFlagNames(command) {
+  const names = [];
+  for (let cmd = command; cmd; cmd = cmd.parent) {
+    for (const option of cmd.options) {
+      if (option.long) names.push(option.long.replace(/^--/, ''));
+      if (option.short) names.push(option.short.replace(/^-/, ''));
+    }
+  }
+  return names;
+}
+
 /**
  * Extract dynamic property flags from raw argv.
  * Returns array of "Key=Value" strings compatible with buildProperties.
+ * A value starting with += or -= becomes a relative update: --count "+=1" → "Count+=1".
  */
 function extractDynamicProps(argv, knownFlags, schema) {
   const props = [];
+  const assign = (name, value) => (/^[+-]=/.test(value) ? `${name}${value}` : `${name}=${value}`);
   const known = new Set(knownFlags);
   const isKnownFlagName = (flagName) => known.has(flagName) || known.has(`--${flagName}`);
   const isKnownFlagToken = (token) => {
@@ -453,7 +504,7 @@ function extractDynamicProps(argv, knownFlags, schema) {
     }
 
     if (explicitValue !== null) {
-      props.push(`${schemaEntry.name}=${explicitValue}`);
+      props.push(assign(schemaEntry.name, explicitValue));
       continue;
     }
 
@@ -461,14 +512,14 @@ function extractDynamicProps(argv, knownFlags, schema) {
 
     const valueCandidate = argv[i + 1];
     if (!valueCandidate.startsWith('--') || valueCandidate === '--') {
-      props.push(`${schemaEntry.name}=${valueCandidate}`);
+      props.push(assign(schemaEntry.name, valueCandidate));
       i++; // skip value
       continue;
     }
 
     const isLastArg = i + 1 === argv.length - 1;
     if (isLastArg || !isKnownFlagToken(valueCandidate)) {
-      props.push(`${schemaEntry.name}=${valueCandidate}`);
+      props.push(assign(schemaEntry.name, valueCandidate));
       i++; // skip value
     }
   }
@@ -479,10 +530,12 @@ function extractDynamicProps(argv, knownFlags, schema) {
 module.exports = {
   markdownToBlocks,
   parseInlineFormatting,
+  splitMentions,
   richTextToMarkdown,
   blocksToMarkdown,
   parseCsv,
   parseCsvLine,
   kebabToProperty,
+  registeredFlagNames,
   extractDynamicProps,
 };
@@ -1,61 +1,81 @@
 // lib/paginate.js — Generic Notion pagination helper
 
 /**
- * Paginate Notion list/query/search endpoints that return { results, has_more, next_cursor }.
+ * Iterate Notion list/query/search endpoints page by page as the responses arrive.
  * fetchPage({ start_cursor, page_size }) should return the raw API response.
+ *
+ * Yields one batch per API call: { results, response, has_more, next_cursor, truncated }.
+ * has_more / next_cursor describe what is left after this batch; truncated is set
+ * on the last batch when options.limit cut the results short.
+ *
+ * Options: limit (max results), pageSizeLimit (endpoint maximum), pageSize
+ * (requested page size, capped by pageSizeLimit), startCursor (resume point).
  */
-async function paginate(fetchPage, options = {}) {
+async function* paginateIter(fetchPage, options = {}) {
   const limit = options.limit == null ? null : Number(options.limit);
-  const pageSizeLimit = options.pageSizeLimit || 100;
+  const pageSizeLimit = Math.min(options.pageSize || Infinity, options.pageSizeLimit || 100);
 
   if (limit != null && (!Number.isFinite(limit) || limit < 0)) {
     throw new Error(`Invalid limit: ${options.limit}`);
   }
 
-  const results = [];
-  let cursor = undefined;
+  if (limit === 0) {
+    yield { results: [], response: null, has_more: true, next_cursor: options.startCursor || null, truncated: true };
+    return;
+  }
+
+  let count = 0;
+  let cursor = options.startCursor || undefined;
   let hasMore = true;
-  let truncated = false;
-  let responseBase = null;
 
   while (hasMore) {
-    const remaining = limit == null ? null : limit - results.length;
-    if (remaining != null && remaining <= 0) {
-      truncated = true;
-      break;
-    }
-
+    const remaining = limit == null ? null : limit - count;
     const pageSize = remaining == null ? pageSizeLimit : Math.min(pageSizeLimit, remaining);
     const res = await fetchPage({ start_cursor: cursor, page_size: pageSize });
-    if (!responseBase) responseBase = res;
 
-    const pageResults = res.results || [];
-    if (limit != null && pageResults.length > 0) {
-      const remaining = limit - results.length;
-      if (remaining <= 0) {
-        truncated = true;
-        break;
-      }
-      if (pageResults.length > remaining) {
-        results.push(...pageResults.slice(0, remaining));
-        truncated = true;
-        cursor = res.next_cursor || null;
-        break;
-      }
+    let pageResults = res.results || [];
+    let truncated = false;
+    if (remaining != null && pageResults.length > remaining) {
+      pageResults = pageResults.slice(0, remaining);
+      truncated = true;
     }
-    results.push(...pageResults);
-
+    count += pageResults.length;
     hasMore = Boolean(res.has_more);
     cursor = res.next_cursor || null;
 
-    if (limit != null && results.length >= limit && hasMore) {
-      truncated = true;
-      break;
-    }
+    if (limit != null && count >= limit && hasMore) truncated = true;
+
+    const more = truncated || hasMore;
+    yield {
+      results: pageResults,
+      response: res,
+      has_more: more,
+      next_cursor: more ? cursor : null,
+      truncated,
+    };
+    if (truncated) return;
+  }
+}
+
+/**
+ * Paginate Notion list/query/search endpoints that return { results, has_more, next_cursor }.
+ * fetchPage({ start_cursor, page_size }) should return the raw API response.
+ * Collects every batch from paginateIter() into one list.
+ */
+async function paginate(fetchPage, options = {}) {
+  const results = [];
+  let responseBase = null;
+  let last = null;
+
+  for await (const batch of paginateIter(fetchPage, options)) {
+    if (!responseBase && batch.response) responseBase = batch.response;
+    results.push(...batch.results);
+    last = batch;
   }
 
-  const finalHasMore = truncated ? true : false;
-  const finalCursor = truncated ? cursor : null;
+  const truncated = last ? last.truncated : false;
+  const finalHasMore = truncated;
+  const finalCursor = truncated ? last.next_cursor : null;
   const response = responseBase
     ? { ...responseBase, results, has_more: finalHasMore, next_cursor: finalCursor }
     : { object: 'list', results, has_more: finalHasMore, next_cursor: finalCursor };
@@ -71,4 +91,5 @@ async function paginate(fetchPage, options = {}) {
 
 module.exports = {
   paginate,
+  paginateIter,
 };
@@ -1,5 +1,16 @@
 // lib/retry.js — Retry helpers for Notion API calls
 
+/** Defaults for the retry policy; see resolveRetryPolicy() for overrides */
+const DEFAULT_RETRY_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const DEFAULT_RETRY_BUDGET_SECONDS = 60;
+
+/** HTTP statuses worth repeating an idempotent call for */
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+
+/** Network failures (Node or the SDK's own timeout) worth repeating an idempotent call for */
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'notionhq_client_request_timeout'];
+
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -9,6 +20,49 @@ function isRateLimitError(err) {
   return err.status === 429 || err.code === 'rate_limited';
 }
 
+/** Network error code of a failed request, including fetch's TypeError with a cause */
+function getNetworkErrorCode(err) {
+  if (!err || typeof err !== 'object') return null;
+  if (RETRYABLE_NETWORK_CODES.includes(err.code)) return err.code;
+  const cause = err.cause;
+  if (cause && typeof cause === 'object' && RETRYABLE_NETWORK_CODES.includes(cause.code)) return cause.code;
+  return null;
+}
+
+/**
+ * Why an error is worth another attempt, or null if it is not.
+ * Rate limits are always retried: Notion rejects the request before doing any work.
+ * Server errors, network errors and conflicts may have applied the change, so they
+ * are only retried when repeating the call is safe (idempotent).
+ */
+function getRetryReason(err, { idempotent = false } = {}) {
+  if (!err || typeof err !== 'object') return null;
+  if (isRateLimitError(err)) return 'Rate limited';
+  if (!idempotent) return null;
+  if (err.code === 'conflict_error') return 'Conflict';
+  if (RETRYABLE_STATUSES.includes(err.status)) return `Notion returned ${err.status}`;
+  const networkCode = getNetworkErrorCode(err);
+  if (networkCode) return networkCode === 'notionhq_client_request_timeout' ? 'Request timed out' : `Network error (${networkCode})`;
+  return null;
+}
+
+/**
+ * Delay the server asked for in a Retry-After header (seconds or an HTTP date), in ms.
+ * Returns null when there is no usable header.
+ */
+function getRetryAfterMs(err, now = Date.now()) {
+  const headers = err && err.headers;
+  if (!headers) return null;
+  const value = typeof headers.get === 'function'
+    ? headers.get('retry-after')
+    : headers['retry-after'] || headers['Retry-After'];
+  if (value == null || String(value).trim() === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds >= 0 ? Math.ceil(seconds * 1000) : null;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
 function isNotionApiError(err) {
   if (!err || typeof err !== 'object') return false;
   if (err.name === 'APIResponseError') return true;
@@ -36,29 +90,48 @@ function calculateDelayMs(baseDelayMs, attempt, jitter, randomFn) {
   return Math.max(0, Math.floor(jittered));
 }
 
+/** "Rate limited, retrying in 1.2s (attempt 2/5)..." */
+function formatRetryMessage({ attempt, maxAttempts, delayMs, reason }) {
+  const delaySec = Math.max(0.1, Math.round(delayMs / 100) / 10);
+  return `${reason}, retrying in ${delaySec}s (attempt ${attempt + 1}/${maxAttempts})...`;
+}
+
+/**
+ * Call fn until it succeeds, an error is not retryable (see getRetryReason), maxAttempts
+ * calls were made, or the next wait would end past budgetMs since the first call.
+ * Waits follow Retry-After when the server sends it, else exponential backoff.
+ */
 async function withRetry(fn, options = {}) {
   const {
-    maxAttempts = 3,
-    baseDelayMs = 1000,
+    maxAttempts = DEFAULT_RETRY_ATTEMPTS,
+    baseDelayMs = DEFAULT_RETRY_DELAY_MS,
+    budgetMs = DEFAULT_RETRY_BUDGET_SECONDS * 1000,
+    idempotent = false,
     jitter = true,
     random = Math.random,
+    now = Date.now,
     sleep: sleepFn = sleep,
     onRetry,
   } = options;
 
+  const startedAt = now();
   for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
     try {
       return await fn();
     } catch (err) {
-      if (!isRateLimitError(err) || attempt === maxAttempts) {
+      const reason = getRetryReason(err, { idempotent });
+      if (!reason || attempt === maxAttempts) {
+        throw err;
+      }
+      const retryAfterMs = getRetryAfterMs(err, now());
+      const delayMs = retryAfterMs != null ? retryAfterMs : calculateDelayMs(baseDelayMs, attempt, jitter, random);
+      if (now() - startedAt + delayMs > budgetMs) {
         throw err;
       }
-      const delayMs = calculateDelayMs(baseDelayMs, attempt, jitter, random);
       if (typeof onRetry === 'function') {
-        onRetry({ attempt, maxAttempts, delayMs, error: err });
+        onRetry({ attempt, maxAttempts, delayMs, reason, error: err });
       } else {
-        const delaySec = Math.max(0.1, Math.round(delayMs / 100) / 10);
-        console.error(`Rate limited, retrying in ${delaySec}s...`);
+        console.error(formatRetryMessage({ attempt, maxAttempts, delayMs, reason }));
       }
       await sleepFn(delayMs);
     }
@@ -67,8 +140,53 @@ async function withRetry(fn, options = {}) {
   return undefined;
 }
 
+/** Retry settings: option key, CLI flag, environment variable, workspace config key and bounds */
+const RETRY_SETTINGS = [
+  { key: 'maxAttempts', flag: '--retry-attempts', env: 'NOTION_RETRY_ATTEMPTS', config: 'attempts', integer: true, min: 1, max: 10, expected: 'a whole number from 1 to 10', defaultValue: DEFAULT_RETRY_ATTEMPTS },
+  { key: 'baseDelayMs', flag: '--retry-delay', env: 'NOTION_RETRY_DELAY_MS', config: 'delayMs', min: 0, max: 60000, expected: 'milliseconds from 0 to 60000', defaultValue: DEFAULT_RETRY_DELAY_MS },
+  { key: 'budgetMs', flag: '--retry-budget', env: 'NOTION_RETRY_BUDGET', config: 'budgetSeconds', min: 0, max: 3600, scale: 1000, expected: 'seconds from 0 to 3600', defaultValue: DEFAULT_RETRY_BUDGET_SECONDS },
+];
+
+/**
+ * Resolve withRetry() options from, in order of precedence, CLI flags (commander
+ * option values: retryAttempts, retryDelay, retryBudget), environment variables and
+ * the workspace "retry" config ({ attempts, delayMs, budgetSeconds }).
+ * Returns { maxAttempts, baseDelayMs, budgetMs } or { error }.
+ */
+function resolveRetryPolicy({ flags = {}, env = {}, config = {} } = {}) {
+  const policy = {};
+  for (const setting of RETRY_SETTINGS) {
+    const flagKey = setting.flag.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    const sources = [
+      [flags[flagKey], setting.flag],
+      [env[setting.env], setting.env],
+      [(config || {})[setting.config], `workspace config retry.${setting.config}`],
+    ];
+    const found = sources.find(([value]) => value != null && value !== '');
+    if (!found) {
+      policy[setting.key] = setting.defaultValue * (setting.scale || 1);
+      continue;
+    }
+    const [value, source] = found;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < setting.min || n > setting.max || (setting.integer && !Number.isInteger(n))) {
+      return { error: `Invalid ${source} "${value}": expected ${setting.expected}.` };
+    }
+    policy[setting.key] = n * (setting.scale || 1);
+  }
+  return policy;
+}
+
 module.exports = {
+  DEFAULT_RETRY_ATTEMPTS,
+  DEFAULT_RETRY_DELAY_MS,
+  DEFAULT_RETRY_BUDGET_SECONDS,
+  RETRY_SETTINGS,
   isRateLimitError,
+  getRetryReason,
+  getRetryAfterMs,
+  resolveRetryPolicy,
+  formatRetryMessage,
   isNotionApiError,
   getNotionApiErrorDetails,
   withRetry,
@@ -0,0 +1,64 @@
+// lib/scheduler.js — Token-bucket request scheduler shared by all Notion API calls
+
+/** Notion's documented average rate limit, in requests per second */
+const DEFAULT_REQUEST_RATE = 3;
+
+/**
+ * Create a scheduler that runs at most `concurrency` tasks at once and starts
+ * them at `rate` per second on average, allowing bursts of up to `burst`.
+ * schedule(fn) queues fn and settles with its result; tasks start in FIFO order.
+ */
+function createScheduler({ rate = DEFAULT_REQUEST_RATE, burst = rate, concurrency = 3, now = Date.now } = {}) {
+  const limit = Math.max(1, Math.floor(concurrency));
+  let tokens = burst;
+  let last = now();
+  let active = 0;
+  let timer = null;
+  const queue = [];
+
+  function refill() {
+    const t = now();
+    tokens = Math.min(burst, tokens + ((t - last) / 1000) * rate);
+    last = t;
+  }
+
+  function pump() {
+    while (queue.length > 0 && active < limit) {
+      refill();
+      if (tokens < 1) {
+        // Wake up when the next token is due
+        if (!timer) {
+          timer = setTimeout(() => {
+            timer = null;
+            pump();
+          }, Math.ceil(((1 - tokens) / rate) * 1000));
+        }
+        return;
+      }
+      tokens -= 1;
+      active++;
+      const { fn, resolve, reject } = queue.shift();
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          pump();
+        });
+    }
+  }
+
+  return {
+    schedule(fn) {
+      return new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        pump();
+      });
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_REQUEST_RATE,
+  createScheduler,
+};
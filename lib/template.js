@@ -0,0 +1,178 @@
+// lib/template.js — Row templates for --template ("- [ ] {{Name}} (due {{Due | date:"MMM D"}})")
+
+const { squashPropertyName } = require('./filters');
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DATE_PARTS_REGEX = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/;
+const DATE_TOKEN_REGEX = /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|A|a/g;
+const TAG_REGEX = /\{\{([\s\S]*?)\}\}/g;
+
+/**
+ * Format one ISO date or datetime ("2025-02-12", "2025-02-12T09:30:00.000+02:00")
+ * with tokens YYYY YY MMMM MMM MM M DD D dddd ddd HH H hh h mm A a; [text] is literal.
+ * The time is shown as written (in its own offset). Non-dates are returned unchanged.
+ */
+function formatDateValue(value, pattern) {
+  const m = String(value).match(DATE_PARTS_REGEX);
+  if (!m) return value;
+  const [year, month, day] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  const hour = m[4] == null ? 0 : Number(m[4]);
+  const minute = m[5] == null ? 0 : Number(m[5]);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const pad = n => String(n).padStart(2, '0');
+  const hour12 = hour % 12 === 0 ? 12 : hour % 12;
+  const tokens = {
+    YYYY: String(year),
+    YY: pad(year % 100),
+    MMMM: MONTHS[month - 1],
+    MMM: MONTHS[month - 1].slice(0, 3),
+    MM: pad(month),
+    M: String(month),
+    DD: pad(day),
+    D: String(day),
+    dddd: WEEKDAYS[weekday],
+    ddd: WEEKDAYS[weekday].slice(0, 3),
+    HH: pad(hour),
+    H: String(hour),
+    hh: pad(hour12),
+    h: String(hour12),
+    mm: pad(minute),
+    A: hour < 12 ? 'AM' : 'PM',
+    a: hour < 12 ? 'am' : 'pm',
+  };
+  return pattern.replace(DATE_TOKEN_REGEX, (token, literal) => (literal != null ? literal : tokens[token]));
+}
+
+/** Template filters: value → value. Date ranges ("start → end") format both ends. */
+const TEMPLATE_FILTERS = {
+  upper: value => value.toUpperCase(),
+  lower: value => value.toLowerCase(),
+  trim: value => value.trim(),
+  default: (value, arg) => (value === '' ? (arg ?? '') : value),
+  truncate: (value, arg) => {
+    const n = Number(arg);
+    if (!Number.isInteger(n) || n < 1 || value.length <= n) return value;
+    return value.slice(0, Math.max(n - 1, 0)) + '…';
+  },
+  date: (value, arg) => {
+    if (value === '') return value;
+    const pattern = arg || 'YYYY-MM-DD';
+    return value.split(' → ').map(part => formatDateValue(part, pattern)).join(' → ');
+  },
+};
+
+/** Split on a separator character outside single or double quotes */
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+      current += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      current += ch;
+    } else if (ch === separator) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+function unquoteArg(arg) {
+  const trimmed = arg.trim();
+  if (trimmed.length >= 2 && (trimmed[0] === '"' || trimmed[0] === "'") && trimmed.endsWith(trimmed[0])) {
+    return trimmed.slice(1, -1);
+  }
+  return trimmed;
+}
+
+/** Parse the inside of {{ ... }} into { field, filters: [{ name, arg }] } or { error } */
+function parseTag(inner) {
+  const [fieldPart, ...filterParts] = splitOutsideQuotes(inner, '|');
+  const field = fieldPart.trim();
+  if (!field) return { error: `Empty field in "{{${inner}}}"` };
+  const filters = [];
+  for (const part of filterParts) {
+    const colon = part.indexOf(':');
+    const name = (colon === -1 ? part : part.slice(0, colon)).trim();
+    if (!TEMPLATE_FILTERS[name]) {
+      return { error: `Unknown template filter "${name}". Available: ${Object.keys(TEMPLATE_FILTERS).join(', ')}` };
+    }
+    filters.push({ name, arg: colon === -1 ? undefined : unquoteArg(part.slice(colon + 1)) });
+  }
+  return { field, filters };
+}
+
+/** Find a row value by field name: exact, then case-insensitive, then ignoring spaces/punctuation */
+function lookupField(row, field) {
+  if (Object.prototype.hasOwnProperty.call(row, field)) return row[field];
+  const lower = field.toLowerCase();
+  const keys = Object.keys(row);
+  const key = keys.find(k => k.toLowerCase() === lower) || keys.find(k => squashPropertyName(k) === squashPropertyName(field));
+  return key === undefined ? undefined : row[key];
+}
+
+/**
+ * Compile a row template. Fields are {{Name}}; filters chain with "|":
+ *   {{Due | date:"MMM D"}}  {{Name | upper}}  {{Assignee | default:"nobody"}}
+ * Returns { render(row), fields } or { error }.
+ */
+function compileTemplate(template) {
+  const source = String(template);
+  const tags = [];
+  for (const match of source.matchAll(TAG_REGEX)) {
+    const tag = parseTag(match[1]);
+    if (tag.error) return { error: tag.error };
+    tags.push(tag);
+  }
+  if (tags.length === 0) {
+    return { error: 'Template has no {{fields}} (e.g. --template "{{Name}} — {{Status}}")' };
+  }
+
+  const render = (row) => {
+    let i = 0;
+    return source.replace(TAG_REGEX, () => {
+      const { field, filters } = tags[i++];
+      let value = lookupField(row, field);
+      value = value == null ? '' : String(value);
+      for (const { name, arg } of filters) {
+        value = TEMPLATE_FILTERS[name](value, arg);
+      }
+      return value;
+    });
+  };
+
+  return { render, fields: [...new Set(tags.map(t => t.field))] };
+}
+
+/** Fields a compiled template uses that are not among the available column names */
+function findUnknownFields(compiled, available) {
+  return compiled.fields.filter(field => lookupField(Object.fromEntries(available.map(c => [c, ''])), field) === undefined);
+}
+
+/**
+ * Wrap a compiled template as an output format spec, so it plugs into
+ * outputFormatted() and streamFormatted() like any registered format.
+ */
+function templateFormat(compiled) {
+  return {
+    description: 'custom row template',
+    row: row => compiled.render(row),
+    empty: '',
+  };
+}
+
+module.exports = {
+  TEMPLATE_FILTERS,
+  formatDateValue,
+  compileTemplate,
+  findUnknownFields,
+  templateFormat,
+};
@@ -0,0 +1,148 @@
+// lib/trace.js — Verbose logging and NDJSON traces of Notion API calls
+
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/** Parameter keys whose values never appear in a trace */
+const SECRET_KEYS = /^(auth|authorization|token|access_token|refresh_token|client_secret|password)$/i;
+
+/** Longer strings and arrays are cut short in traces */
+const MAX_TRACE_STRING = 200;
+const MAX_TRACE_ITEMS = 10;
+const MAX_TRACE_DEPTH = 8;
+
+/** Whether NOTION_DEBUG turns on verbose logging ("1", "true", …; "0", "false", "off" and "" do not) */
+function isDebugEnabled(value) {
+  if (value == null) return false;
+  return !['', '0', 'false', 'no', 'off'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Copy of API call params that is safe and short enough to log: secrets become
+ * "[redacted]", file contents "[N bytes]", long strings and arrays are truncated.
+ */
+function redactParams(value, depth = 0) {
+  if (value == null || typeof value === 'number' || typeof value === 'boolean') return value;
+  if (typeof value === 'string') {
+    return value.length > MAX_TRACE_STRING
+      ? `${value.slice(0, MAX_TRACE_STRING)}…(${value.length} chars)`
+      : value;
+  }
+  if (ArrayBuffer.isView(value)) return `[${value.byteLength} bytes]`;
+  if (typeof Blob !== 'undefined' && value instanceof Blob) return `[${value.size} bytes]`;
+  if (typeof value !== 'object') return String(value);
+  if (depth >= MAX_TRACE_DEPTH) return '[…]';
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_TRACE_ITEMS).map(v => redactParams(v, depth + 1));
+    if (value.length > MAX_TRACE_ITEMS) items.push(`…${value.length - MAX_TRACE_ITEMS} more`);
+    return items;
+  }
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    out[key] = SECRET_KEYS.test(key) ? '[redacted]' : redactParams(v, depth + 1);
+  }
+  return out;
+}
+
+/** One stderr line for a finished attempt (a "request" trace event) */
+function formatTraceLine(event) {
+  const outcome = event.error
+    ? [event.status, event.error].filter(v => v != null).join(' ')
+    : (event.status != null ? event.status : 'ok');
+  const attempt = event.attempt > 1 ? ` (attempt ${event.attempt})` : '';
+  const params = event.params === undefined ? '' : ` ${JSON.stringify(event.params)}`;
+  return `[notion] #${event.id} ${event.method}${event.http ? ` ${event.http}` : ''} → ${outcome} ${event.duration_ms}ms${attempt}${params}`;
+}
+
+// The trace event of the attempt in progress, so the fetch wrapper can add HTTP details
+const currentAttempt = new AsyncLocalStorage();
+
+/**
+ * Wrap fetch so each HTTP request notes its method, path and status on the
+ * attempt that made it. Pass the result to the SDK Client as its fetch option.
+ */
+function createTracingFetch(fetchFn = fetch) {
+  return async (url, init = {}) => {
+    const event = currentAttempt.getStore();
+    if (event) {
+      const { pathname, search } = new URL(url);
+      event.http = `${(init.method || 'GET').toUpperCase()} ${pathname}${search}`;
+    }
+    const response = await fetchFn(url, init);
+    if (event) event.status = response.status;
+    return response;
+  };
+}
+
+/**
+ * Create a tracer for API calls, or null when tracing is off. verbose prints a
+ * line per attempt to stderr; file appends one JSON object per attempt ("request")
+ * and per scheduled retry ("retry") to that path.
+ */
+function createTracer({ verbose = false, file = null, log = line => console.error(line), now = Date.now } = {}) {
+  if (!verbose && !file) return null;
+  let lastId = 0;
+
+  function emit(event) {
+    if (verbose && event.type === 'request') log(formatTraceLine(event));
+    if (file) fs.appendFileSync(file, JSON.stringify(event) + '\n');
+  }
+
+  return {
+    /** ID for a new SDK call; its attempts and retries share it */
+    nextId() {
+      lastId += 1;
+      return lastId;
+    },
+
+    /** Run one attempt of an SDK call, timing it and logging how it ended */
+    async attempt({ id, method, params, attempt }, fn) {
+      const event = {
+        type: 'request',
+        ts: new Date(now()).toISOString(),
+        id,
+        method,
+        http: null,
+        params: redactParams(params),
+        attempt,
+        status: null,
+        duration_ms: 0,
+      };
+      const startedAt = now();
+      try {
+        const result = await currentAttempt.run(event, fn);
+        event.duration_ms = now() - startedAt;
+        emit(event);
+        return result;
+      } catch (err) {
+        event.duration_ms = now() - startedAt;
+        if (event.status == null && err && typeof err.status === 'number') event.status = err.status;
+        event.error = (err && (err.code || (err.cause && err.cause.code) || err.message)) || String(err);
+        emit(event);
+        throw err;
+      }
+    },
+
+    /** Record that attempt of call id failed and will be retried after delayMs */
+    retry(id, method, { attempt, maxAttempts, delayMs, reason }) {
+      emit({
+        type: 'retry',
+        ts: new Date(now()).toISOString(),
+        id,
+        method,
+        attempt,
+        max_attempts: maxAttempts,
+        delay_ms: delayMs,
+        reason,
+      });
+    },
+  };
+}
+
+module.exports = {
+  isDebugEnabled,
+  redactParams,
+  formatTraceLine,
+  createTracingFetch,
+  createTracer,
+};
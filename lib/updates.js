@@ -0,0 +1,143 @@
+// lib/updates.js — Property update expressions: Name=value, Count+=1, Tags-=stale, Field=
+
+const { shiftIsoDate } = require('./dates');
+const { findSchemaEntry } = require('./filters');
+
+/** Property types that support += / -= and what the operand means */
+const RELATIVE_UPDATE_TYPES = {
+  number: 'a number',
+  multi_select: 'comma-separated options',
+  relation: 'comma-separated page titles or IDs',
+  people: 'comma-separated names, emails or user IDs',
+  date: 'an offset like 2d, 1w or 1m',
+};
+
+/** Value that empties a property of the given type ("Field=" or --clear Field) */
+function clearPropValue(type) {
+  switch (type) {
+    case 'title': case 'rich_text':
+    case 'multi_select': case 'relation': case 'people': case 'files':
+      return { [type]: [] };
+    case 'checkbox':
+      return { checkbox: false };
+    case 'number': case 'select': case 'status': case 'date':
+    case 'url': case 'email': case 'phone_number':
+      return { [type]: null };
+    default:
+      return { error: `Properties of type ${type} cannot be cleared` };
+  }
+}
+
+/** Signed date offset for Due+=2d / Due-=1w ("+2d", "-1w") */
+function dateOffset(op, value) {
+  return `${op === 'add' ? '+' : '-'}${String(value).trim().replace(/^[+-]/, '')}`;
+}
+
+/** Split a comma-separated operand into trimmed, non-empty items */
+function splitList(value) {
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Parse one "key=value", "key+=value" or "key-=value" assignment against a
+ * schema (lowercase name → { name, type }), finding names like --filter does
+ * (findSchemaEntry: case, kebab-case, spacing). An empty value clears the property.
+ * A property whose name really ends in + or - (exact match) wins over the operator.
+ * Returns { entry, op: 'set' | 'clear' | 'add' | 'remove', value, expression } or { error, available }.
+ */
+function parsePropAssignment(kv, schema) {
+  const eqIdx = kv.indexOf('=');
+  if (eqIdx === -1) {
+    return { error: `Invalid property format: ${kv} (expected key=value, key+=value or key-=value)` };
+  }
+  let key = kv.slice(0, eqIdx);
+  const value = kv.slice(eqIdx + 1);
+  let op = 'set';
+  const opChar = key.slice(-1);
+  if ((opChar === '+' || opChar === '-') && !schema[key.trim().toLowerCase()]) {
+    key = key.slice(0, -1).trimEnd();
+    op = opChar === '+' ? 'add' : 'remove';
+  }
+
+  const entry = findSchemaEntry(schema, key);
+  if (!entry) {
+    return {
+      error: `Property "${key}" not found in database schema.`,
+      available: Object.values(schema).map(s => s.name),
+    };
+  }
+
+  if (op === 'set') {
+    return { entry, op: value === '' ? 'clear' : 'set', value, expression: kv };
+  }
+
+  const operand = RELATIVE_UPDATE_TYPES[entry.type];
+  if (!operand) {
+    return { error: `"${entry.name}" (${entry.type}) does not support ${opChar}=: only number, multi_select, relation, people and date properties do.` };
+  }
+  if (value.trim() === '') {
+    return { error: `Missing value for "${kv}" (expected ${operand}).` };
+  }
+  if (entry.type === 'number' && Number.isNaN(Number(value))) {
+    return { error: `Invalid number value: "${value}"` };
+  }
+  if (entry.type === 'date' && !shiftIsoDate('2000-01-01', dateOffset(op, value))) {
+    return { error: `Invalid date offset: "${value}" (expected ${operand})` };
+  }
+  return { entry, op, value, expression: kv };
+}
+
+/** Item IDs or names of a list-valued property as the API returns it */
+function listItems(type, prop) {
+  const items = (prop && prop[type]) || [];
+  return type === 'multi_select'
+    ? items.map(o => ({ name: o.name }))
+    : items.map(o => ({ id: o.id }));
+}
+
+/**
+ * Apply a += / -= change to a page's current property value.
+ * current is the property object from pages.retrieve ({ number }, { multi_select }, …);
+ * value is the operand, with relation/people operands already resolved to IDs (array).
+ * Returns the new property value for pages.update, or { error }.
+ */
+function applyRelativeUpdate(type, current, op, value) {
+  const sign = op === 'add' ? 1 : -1;
+  switch (type) {
+    case 'number': {
+      const base = (current && current.number) || 0;
+      return { number: parseFloat((base + sign * Number(value)).toPrecision(12)) };
+    }
+    case 'multi_select': case 'relation': case 'people': {
+      const items = listItems(type, current);
+      const keyOf = type === 'multi_select' ? o => o.name.toLowerCase() : o => o.id.replace(/-/g, '');
+      const operands = (Array.isArray(value) ? value : splitList(value))
+        .map(v => (type === 'multi_select' ? { name: v } : { id: v }));
+      const keys = new Set(operands.map(keyOf));
+      if (op === 'remove') return { [type]: items.filter(o => !keys.has(keyOf(o))) };
+      const existing = new Set(items.map(keyOf));
+      return { [type]: [...items, ...operands.filter(o => !existing.has(keyOf(o)))] };
+    }
+    case 'date': {
+      const date = current && current.date;
+      if (!date || !date.start) return { error: 'it has no date to shift' };
+      const offset = dateOffset(op, value);
+      return {
+        date: {
+          ...date,
+          start: shiftIsoDate(date.start, offset),
+          end: date.end ? shiftIsoDate(date.end, offset) : null,
+        },
+      };
+    }
+    default:
+      return { error: `${type} properties do not support relative updates` };
+  }
+}
+
+module.exports = {
+  RELATIVE_UPDATE_TYPES,
+  clearPropValue,
+  parsePropAssignment,
+  applyRelativeUpdate,
+};
@@ -1,11 +1,21 @@
 // test/integration.test.js — Live API tests (optional, requires NOTION_API_KEY)
+//
+// Record a cassette once:  NOTION_RECORD=test/live.ndjson npm run test:live
+// Replay it offline:       NOTION_REPLAY=test/live.ndjson npm run test:live
+//
+// `npm run test:replay` is a smoke test, not API coverage: it replays the synthetic
+// test/fixtures/synthetic-smoke.ndjson (made-up IDs and responses, not recorded from
+// Notion) with the config in test/fixtures/config, whose "tasks" alias the CRUD tests
+// use. It only checks that the commands run end to end against canned responses.
 
-const { describe, it, before, after } = require('node:test');
+const { describe, it, after } = require('node:test');
 const assert = require('node:assert/strict');
 const { execSync } = require('child_process');
 const path = require('path');
 
-const SKIP = !process.env.NOTION_API_KEY;
+const CASSETTE = process.env.NOTION_RECORD || process.env.NOTION_REPLAY;
+const SKIP = !process.env.NOTION_API_KEY && !process.env.NOTION_REPLAY;
+const SUITE = process.env.NOTION_REPLAY ? 'Integration tests (replayed cassette)' : 'Integration tests (live API)';
 const CLI = path.resolve(__dirname, '..', 'bin', 'notion.js');
 
 function run(args, opts = {}) {
@@ -23,7 +33,21 @@ function runJSON(args) {
   return JSON.parse(output);
 }
 
-describe('Integration tests (live API)', { skip: SKIP ? 'NOTION_API_KEY not set' : false }, () => {
+/** First alias in `alias list`, or undefined when none is configured */
+function findAlias() {
+  try {
+    const lines = run('alias list').split('\n');
+    // The first data row follows the table's separator line
+    const separator = lines.findIndex(line => line.startsWith('─'));
+    if (separator === -1 || !lines[separator + 1]) return undefined;
+    return lines[separator + 1].split(/\s+│\s+/)[0].trim() || undefined;
+  } catch (e) {
+    // No aliases configured
+    return undefined;
+  }
+}
+
+describe(SUITE, { skip: SKIP ? 'NOTION_API_KEY or NOTION_REPLAY not set' : false }, () => {
   describe('notion dbs', () => {
     it('returns at least 1 database', () => {
       const result = runJSON('dbs');
@@ -48,26 +72,11 @@ describe('Integration tests (live API)', { skip: SKIP ? 'NOTION_API_KEY not set'
   });
 
   describe('CRUD round-trip', () => {
-    // This test requires a configured alias. We'll try to find one.
-    let alias;
+    // This test requires a configured alias; look it up now so the skip options below see it
+    const alias = SKIP ? undefined : findAlias();
     let createdPageId;
-    const testName = `TEST_ENTRY_${Date.now()}`;
-
-    before(() => {
-      // Look for an alias in the config
-      try {
-        const output = run('alias list');
-        // Parse the table output to find at least one alias
-        const lines = output.split('\n');
-        // Skip header and separator (first 2 lines), grab first data line
-        if (lines.length >= 3) {
-          const dataLine = lines[2];
-          alias = dataLine.split(/\s+│\s+/)[0]?.trim();
-        }
-      } catch (e) {
-        // No aliases configured
-      }
-    });
+    // Cassettes match on params, so recorded runs need the same name every time
+    const testName = CASSETTE ? 'TEST_ENTRY_CASSETTE' : `TEST_ENTRY_${Date.now()}`;
 
     it('add a page', { skip: !alias ? 'No alias configured for CRUD test' : false }, () => {
       const result = runJSON(`add ${alias} --prop "Name=${testName}"`);
@@ -13,7 +13,19 @@ const {
   UUID_REGEX,
   pagesToRows,
   printTable,
+  getSchemaCachePath,
+  loadSchemaCache,
+  saveSchemaCache,
+  parseCacheTtl,
+  getCachedSchema,
+  setCachedSchema,
+  removeCachedSchemas,
+  createTracer,
+  loadCassette,
+  createRecorder,
+  createPlayer,
 } = require('../lib/helpers');
+const { createContext } = require('../lib/context');
 
 // ─── Config management ────────────────────────────────────────────────────────
 
@@ -164,7 +176,7 @@ describe('resolveDb logic (pure)', () => {
 describe('resolvePageId logic (simulated)', () => {
   // We simulate the resolvePageId logic without process.exit
 
-  function simulateResolvePageId(config, aliasOrId, filterStr, queryResults) {
+  function simulateResolvePageId(config, aliasOrId, filterStr, queryResults, mode = null) {
     // Known alias
     if (config.aliases && config.aliases[aliasOrId]) {
       if (!filterStr) {
@@ -175,7 +187,13 @@ describe('resolvePageId logic (simulated)', () => {
       if (results.length === 0) {
         return { error: 'no_match' };
       }
-      if (results.length > 1) {
+      if (results.length > 1 && mode === 'all') {
+        return { pageIds: results.map(r => r.id), dbIds };
+      }
+      if (results.length > 1 && mode === 'last') {
+        return { pageId: results[results.length - 1].id, dbIds };
+      }
+      if (results.length > 1 && mode !== 'first') {
         return { error: 'multiple_matches', count: results.length, results };
       }
       return { pageId: results[0].id, dbIds };
@@ -225,6 +243,17 @@ describe('resolvePageId logic (simulated)', () => {
     assert.equal(result.count, 3);
   });
 
+  it('multiple results + --first / --last → picks by position in sort order', () => {
+    const results = [{ id: 'page-1' }, { id: 'page-2' }, { id: 'page-3' }];
+    assert.equal(simulateResolvePageId(config, 'projects', 'Name=Dup', results, 'first').pageId, 'page-1');
+    assert.equal(simulateResolvePageId(config, 'projects', 'Name=Dup', results, 'last').pageId, 'page-3');
+  });
+
+  it('multiple results + --all → every page ID', () => {
+    const result = simulateResolvePageId(config, 'projects', 'Name=Dup', [{ id: 'page-1' }, { id: 'page-2' }], 'all');
+    assert.deepEqual(result.pageIds, ['page-1', 'page-2']);
+  });
+
   it('raw UUID → returns as-is with null dbIds', () => {
     const uuid = '550e8400-e29b-41d4-a716-446655440000';
     const result = simulateResolvePageId(config, uuid, null, []);
@@ -319,6 +348,166 @@ describe('getDbSchema logic (simulated)', () => {
   });
 });
 
+// ─── Schema cache ──────────────────────────────────────────────────────────────
+
+describe('Schema cache', () => {
+  let tmpDir;
+  let cachePath;
+  const schema = { name: { type: 'title', name: 'Name', id: 'title' } };
+  const now = Date.parse('2025-06-01T12:00:00Z');
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notioncli-cache-'));
+    cachePath = getSchemaCachePath(path.join(tmpDir, 'notioncli'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('saves and loads entries per workspace and data source', () => {
+    const cache = setCachedSchema(loadSchemaCache(cachePath), 'work', 'ds1', schema, now);
+    saveSchemaCache(cache, cachePath);
+    const loaded = loadSchemaCache(cachePath);
+    assert.deepEqual(getCachedSchema(loaded, 'work', 'ds1', 600, now + 1000), schema);
+    assert.equal(getCachedSchema(loaded, 'personal', 'ds1', 600, now), null);
+    assert.deepEqual(fs.readdirSync(path.dirname(cachePath)), ['schema-cache.json']);
+  });
+
+  it('treats a missing or corrupted file as empty', () => {
+    assert.deepEqual(loadSchemaCache(cachePath), { workspaces: {} });
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(cachePath, '{ not json');
+    assert.deepEqual(loadSchemaCache(cachePath), { workspaces: {} });
+  });
+
+  it('ignores entries older than the TTL, or every entry when the TTL is 0', () => {
+    const cache = setCachedSchema({ workspaces: {} }, 'work', 'ds1', schema, now);
+    assert.equal(getCachedSchema(cache, 'work', 'ds1', 600, now + 601 * 1000), null);
+    assert.equal(getCachedSchema(cache, 'work', 'ds1', 0, now), null);
+  });
+
+  it('removes one data source, a workspace, or everything', () => {
+    const cache = { workspaces: {} };
+    setCachedSchema(cache, 'work', 'ds1', schema, now);
+    setCachedSchema(cache, 'work', 'ds2', schema, now);
+    setCachedSchema(cache, 'personal', 'ds3', schema, now);
+    assert.equal(removeCachedSchemas(cache, 'work', 'ds1'), 1);
+    assert.equal(removeCachedSchemas(cache, 'work', 'missing'), 0);
+    assert.equal(removeCachedSchemas(cache, 'work'), 1);
+    assert.deepEqual(Object.keys(cache.workspaces), ['personal']);
+    assert.equal(removeCachedSchemas(cache), 1);
+    assert.deepEqual(cache.workspaces, {});
+  });
+
+  it('parses NOTION_SCHEMA_CACHE_TTL seconds', () => {
+    assert.deepEqual(parseCacheTtl(undefined), { ttl: 600 });
+    assert.deepEqual(parseCacheTtl('0'), { ttl: 0 });
+    assert.deepEqual(parseCacheTtl('3600'), { ttl: 3600 });
+    assert.match(parseCacheTtl('soon').error, /Invalid NOTION_SCHEMA_CACHE_TTL/);
+    assert.match(parseCacheTtl('-5').error, /Invalid NOTION_SCHEMA_CACHE_TTL/);
+  });
+});
+
+// ─── Trace file ────────────────────────────────────────────────────────────────
+
+describe('Trace file', () => {
+  let tmpDir;
+  let tracePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notioncli-trace-'));
+    tracePath = path.join(tmpDir, 'trace.ndjson');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('appends one JSON line per attempt and retry', async () => {
+    const tracer = createTracer({ file: tracePath, now: () => Date.parse('2025-06-01T12:00:00Z') });
+    const id = tracer.nextId();
+    const err = Object.assign(new Error('Unavailable'), { status: 503, code: 'service_unavailable' });
+    await assert.rejects(() => tracer.attempt({ id, method: 'pages.retrieve', params: { page_id: 'p1' }, attempt: 1 }, async () => { throw err; }));
+    tracer.retry(id, 'pages.retrieve', { attempt: 1, maxAttempts: 5, delayMs: 1000, reason: 'Notion returned 503' });
+    await tracer.attempt({ id, method: 'pages.retrieve', params: { page_id: 'p1', auth: 'ntn_x' }, attempt: 2 }, async () => 'ok');
+
+    const events = fs.readFileSync(tracePath, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(events.map(e => [e.type, e.attempt]), [['request', 1], ['retry', 1], ['request', 2]]);
+    assert.equal(events[0].status, 503);
+    assert.equal(events[0].error, 'service_unavailable');
+    assert.equal(events[1].delay_ms, 1000);
+    assert.equal(events[2].params.auth, '[redacted]');
+    assert.equal(events[2].ts, '2025-06-01T12:00:00.000Z');
+  });
+});
+
+// ─── Cassettes ─────────────────────────────────────────────────────────────────
+
+describe('Cassettes', () => {
+  let tmpDir;
+  let cassettePath;
+  const { wrapNotionClient } = createContext({ opts: () => ({}) });
+  const retry = { maxAttempts: 1 };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notioncli-cassette-'));
+    cassettePath = path.join(tmpDir, 'live.ndjson');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('records calls through the client and replays them without it', async () => {
+    const client = {
+      pages: {
+        retrieve: async ({ page_id }) => ({ object: 'page', id: page_id }),
+        create: async () => {
+          throw Object.assign(new Error('Bad'), { name: 'APIResponseError', status: 400, code: 'validation_error', body: { message: 'Bad' } });
+        },
+      },
+    };
+    const recording = wrapNotionClient(client, { retry, recorder: createRecorder(cassettePath) });
+    assert.deepEqual(await recording.pages.retrieve({ page_id: 'p1' }), { object: 'page', id: 'p1' });
+    await assert.rejects(() => recording.pages.create({ parent: { page_id: 'p1' } }), /Bad/);
+
+    const { interactions } = loadCassette(cassettePath);
+    assert.deepEqual(interactions.map(e => e.method), ['pages.retrieve', 'pages.create']);
+
+    const offline = { pages: { retrieve: async () => assert.fail('network'), create: async () => assert.fail('network') } };
+    const replaying = wrapNotionClient(offline, { retry, player: createPlayer(interactions) });
+    assert.deepEqual(await replaying.pages.retrieve({ page_id: 'p1' }), { object: 'page', id: 'p1' });
+    await assert.rejects(
+      () => replaying.pages.create({ parent: { page_id: 'p1' } }),
+      err => err.status === 400 && err.apiCall.method === 'pages.create',
+    );
+    await assert.rejects(() => replaying.pages.retrieve({ page_id: 'p2' }), /No recorded response/);
+  });
+
+  it('traces replayed calls', async () => {
+    const interactions = [{ method: 'pages.retrieve', params: { page_id: 'p1' }, response: { id: 'p1' } }];
+    const lines = [];
+    const tracer = createTracer({ verbose: true, log: line => lines.push(line), now: () => 0 });
+    const replaying = wrapNotionClient({ pages: { retrieve: async () => assert.fail('network') } }, {
+      retry, tracer, player: createPlayer(interactions),
+    });
+    await replaying.pages.retrieve({ page_id: 'p1' });
+    await assert.rejects(() => replaying.pages.retrieve({ page_id: 'p2' }));
+    assert.equal(lines.length, 2);
+    assert.match(lines[0], /^\[notion\] #1 pages\.retrieve → ok 0ms/);
+    assert.match(lines[1], /^\[notion\] #2 pages\.retrieve → cassette_mismatch/);
+  });
+
+  it('reports unreadable and malformed cassettes', () => {
+    assert.match(loadCassette(cassettePath).error, /Cannot read cassette/);
+    fs.writeFileSync(cassettePath, '{"method":"search","params":{},"response":{}}\nnot json\n');
+    assert.match(loadCassette(cassettePath).error, /line 2/);
+    fs.writeFileSync(cassettePath, '{"params":{}}\n');
+    assert.match(loadCassette(cassettePath).error, /expected \{ method, params, response \| error \}/);
+  });
+});
+
 // ─── buildFilter via buildFilterFromSchema ─────────────────────────────────────
 
 describe('buildFilter (via buildFilterFromSchema)', () => {
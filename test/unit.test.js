@@ -8,21 +8,73 @@ const {
   buildPropValue,
   printTable,
   pagesToRows,
+  parseColumnList,
+  selectColumns,
   formatCsv,
   formatYaml,
+  formatRows,
+  OUTPUT_FORMAT_NAMES,
+  STREAM_FORMATS,
   parseFilterOperator,
   resolveRelativeDate,
   buildFilterFromSchema,
   buildCompoundFilter,
+  getSupportedOperators,
+  inferValueType,
+  parseWhereExpression,
+  buildWhereFilter,
+  buildQueryFilter,
+  expandRelationSubquery,
+  squashPropertyName,
+  findSchemaEntry,
+  parseSortString,
+  buildSortsFromSchema,
+  buildSearchOptions,
+  buildAggregationPlan,
+  bucketDate,
+  groupKeys,
+  aggregatePages,
   markdownToBlocks,
   parseInlineFormatting,
   blocksToMarkdown,
   parseCsv,
   kebabToProperty,
+  registeredFlagNames,
   extractDynamicProps,
   UUID_REGEX,
+  normalizeNotionId,
+  parseTitleReference,
+  buildViewDefinition,
+  mergeViewOptions,
+  describeView,
   paginate,
+  paginateIter,
+  streamFormatted,
+  runConcurrent,
+  singleOrList,
+  parseConcurrency,
+  formatDateValue,
+  compileTemplate,
+  findUnknownFields,
+  templateFormat,
   withRetry,
+  getRetryReason,
+  getRetryAfterMs,
+  resolveRetryPolicy,
+  isDebugEnabled,
+  redactParams,
+  formatTraceLine,
+  createTracer,
+  createTracingFetch,
+  stableStringify,
+  createPlayer,
+  createScheduler,
+  shiftIsoDate,
+  splitRichText,
+  splitMentions,
+  clearPropValue,
+  parsePropAssignment,
+  applyRelativeUpdate,
 } = require('../lib/helpers');
 
 // ─── richTextToPlain ───────────────────────────────────────────────────────────
@@ -279,6 +331,11 @@ describe('buildPropValue', () => {
     });
   });
 
+  it('splits text over 2000 characters into several runs', () => {
+    const runs = buildPropValue('rich_text', 'x'.repeat(4500)).rich_text;
+    assert.deepEqual(runs.map(r => r.text.content.length), [2000, 2000, 500]);
+  });
+
   it('builds number property', () => {
     assert.deepEqual(buildPropValue('number', '42'), { number: 42 });
     assert.deepEqual(buildPropValue('number', '3.14'), { number: 3.14 });
@@ -322,8 +379,32 @@ describe('buildPropValue', () => {
 
   it('rejects invalid date property', () => {
     assert.deepEqual(buildPropValue('date', '2024-13-01'), {
-      error: 'Invalid date value: "2024-13-01" (expected YYYY-MM-DD or full ISO 8601)',
+      error: 'Invalid date value: "2024-13-01" (expected YYYY-MM-DD, full ISO 8601 or a relative date like today, +3d, next monday)',
+    });
+  });
+
+  it('builds date property from a relative date', () => {
+    assert.deepEqual(buildPropValue('date', '+3d'), {
+      date: { start: resolveRelativeDate('+3d') },
+    });
+    assert.match(buildPropValue('date', 'next monday').date.start, /^\d{4}-\d{2}-\d{2}$/);
+  });
+
+  it('builds date ranges with an optional time zone', () => {
+    assert.deepEqual(buildPropValue('date', '2025-01-01..2025-01-05'), {
+      date: { start: '2025-01-01', end: '2025-01-05' },
     });
+    assert.deepEqual(buildPropValue('date', '2025-01-05T09:00..2025-01-05T10:30 Europe/Berlin'), {
+      date: { start: '2025-01-05T09:00', end: '2025-01-05T10:30', time_zone: 'Europe/Berlin' },
+    });
+    assert.equal(buildPropValue('date', 'today..+3d').date.end, resolveRelativeDate('+3d'));
+  });
+
+  it('rejects backwards ranges, unknown time zones and offset-less times without a zone', () => {
+    assert.match(buildPropValue('date', '2025-01-05..2025-01-01').error, /ends before it starts/);
+    assert.match(buildPropValue('date', '2025-01-05 Mars/Base').error, /Unknown time zone/);
+    assert.match(buildPropValue('date', '2025-01-05T09:00').error, /Invalid date value/);
+    assert.match(buildPropValue('date', '2025-01-01..').error, /Invalid date range/);
   });
 
   it('builds checkbox property — true values', () => {
@@ -375,6 +456,18 @@ describe('buildPropValue', () => {
     });
   });
 
+  it('builds people and relation properties from IDs', () => {
+    assert.deepEqual(buildPropValue('people', 'u1, u2'), { people: [{ id: 'u1' }, { id: 'u2' }] });
+    assert.deepEqual(buildPropValue('relation', 'p1'), { relation: [{ id: 'p1' }] });
+  });
+
+  it('builds files property from external URLs', () => {
+    assert.deepEqual(buildPropValue('files', 'https://example.com/docs/Spec%20v2.pdf'), {
+      files: [{ name: 'Spec v2.pdf', type: 'external', external: { url: 'https://example.com/docs/Spec%20v2.pdf' } }],
+    });
+    assert.match(buildPropValue('files', './spec.pdf').error, /Invalid file URL/);
+  });
+
   it('builds unknown type — raw passthrough', () => {
     assert.deepEqual(buildPropValue('custom_type', 'raw'), {
       custom_type: 'raw',
@@ -489,6 +582,47 @@ describe('pagesToRows', () => {
   });
 });
 
+// ─── selectColumns ─────────────────────────────────────────────────────────────
+
+describe('parseColumnList', () => {
+  it('splits and trims comma-separated names', () => {
+    assert.deepEqual(parseColumnList(' Name, Status ,,Due '), ['Name', 'Status', 'Due']);
+  });
+
+  it('passes arrays through and handles empty input', () => {
+    assert.deepEqual(parseColumnList(['Name', 'Status,Due']), ['Name', 'Status', 'Due']);
+    assert.deepEqual(parseColumnList(undefined), []);
+  });
+});
+
+describe('selectColumns', () => {
+  const available = ['id', 'Name', 'Status', 'Due Date', 'Notes'];
+
+  it('returns all columns when nothing is selected', () => {
+    assert.deepEqual(selectColumns(available).columns, available);
+  });
+
+  it('keeps the requested order and matches names loosely', () => {
+    const result = selectColumns(available, { columns: 'due-date, name,STATUS' });
+    assert.deepEqual(result.columns, ['Due Date', 'Name', 'Status']);
+  });
+
+  it('excludes columns, alone or after a selection', () => {
+    assert.deepEqual(selectColumns(available, { exclude: 'id,Notes' }).columns, ['Name', 'Status', 'Due Date']);
+    assert.deepEqual(selectColumns(available, { columns: ['Name', 'Notes'], exclude: 'notes' }).columns, ['Name']);
+  });
+
+  it('reports unknown columns with the available list', () => {
+    const result = selectColumns(available, { columns: 'Name,Owner' });
+    assert.match(result.error, /Unknown column "Owner"/);
+    assert.deepEqual(result.available, available);
+  });
+
+  it('errors when every column is excluded', () => {
+    assert.match(selectColumns(['id'], { exclude: 'id' }).error, /No columns left/);
+  });
+});
+
 // ─── formatCsv ─────────────────────────────────────────────────────────────────
 
 describe('formatCsv', () => {
@@ -584,6 +718,47 @@ describe('formatYaml', () => {
   });
 });
 
+// ─── Output format registry ────────────────────────────────────────────────────
+
+describe('formatRows', () => {
+  const columns = ['name', 'note'];
+  const rows = [{ name: 'a|b', note: '<x> & "y"\nz', extra: 'hidden' }];
+
+  it('registers every format, with all line-based ones streamable', () => {
+    assert.deepEqual(OUTPUT_FORMAT_NAMES, ['table', 'csv', 'tsv', 'md', 'html', 'yaml', 'json', 'ndjson']);
+    assert.deepEqual(STREAM_FORMATS, ['csv', 'tsv', 'md', 'html', 'yaml', 'ndjson']);
+  });
+
+  it('renders a GFM table with escaped pipes and newlines', () => {
+    assert.equal(formatRows(rows, columns, 'md'), [
+      '| name | note |',
+      '| --- | --- |',
+      '| a\\|b | <x> & "y"<br>z |',
+    ].join('\n'));
+  });
+
+  it('renders a standalone, escaped HTML table', () => {
+    const html = formatRows(rows, columns, 'html');
+    assert.ok(html.startsWith('<!DOCTYPE html>'));
+    assert.ok(html.includes('<tr><th>name</th><th>note</th></tr>'));
+    assert.ok(html.includes('<td>&lt;x&gt; &amp; &quot;y&quot;<br>z</td>'));
+    assert.ok(html.endsWith('</html>'));
+  });
+
+  it('escapes tabs and newlines in TSV', () => {
+    assert.equal(formatRows([{ a: 'x\ty', b: 'l1\nl2' }], ['a', 'b'], 'tsv'), 'a\tb\nx\\ty\tl1\\nl2');
+  });
+
+  it('writes one JSON object per line for ndjson, limited to the columns', () => {
+    assert.equal(formatRows([{ a: 1, b: 2 }, { a: 3, b: 4 }], ['a'], 'ndjson'), '{"a":1}\n{"a":3}');
+    assert.equal(formatRows([], ['a'], 'ndjson'), '');
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => formatRows(rows, columns, 'docx'), /Unknown output format "docx"/);
+  });
+});
+
 // ─── UUID_REGEX ────────────────────────────────────────────────────────────────
 
 describe('UUID_REGEX', () => {
@@ -620,6 +795,54 @@ describe('UUID_REGEX', () => {
   });
 });
 
+// ─── Notion IDs, URLs and title references ─────────────────────────────────────
+
+describe('normalizeNotionId', () => {
+  const id = '1a2b3c4d-5e6f-4a8b-9c0d-1e2f3a4b5c6d';
+  const compact = id.replace(/-/g, '');
+  const blockId = 'aaaabbbb-cccc-4ddd-8eee-ffff00001111';
+
+  it('hyphenates compact IDs and lowercases UUIDs', () => {
+    assert.equal(normalizeNotionId(compact), id);
+    assert.equal(normalizeNotionId(id.toUpperCase()), id);
+  });
+
+  it('extracts the ID from page, database and peek URLs', () => {
+    assert.equal(normalizeNotionId(`https://www.notion.so/My-Page-${compact}`), id);
+    assert.equal(normalizeNotionId(`https://www.notion.so/acme/${compact}?v=${blockId.replace(/-/g, '')}`), id);
+    assert.equal(normalizeNotionId(`https://www.notion.so/acme/Board-ffff?p=${compact}&pm=s`), id);
+    assert.equal(normalizeNotionId(`notion.so/Caf%C3%A9-${compact}`), id);
+    assert.equal(normalizeNotionId(`https://acme.notion.site/Docs-${compact}`), id);
+  });
+
+  it('uses a block link fragment only when asked for a block', () => {
+    const link = `https://www.notion.so/My-Page-${compact}#${blockId.replace(/-/g, '')}`;
+    assert.equal(normalizeNotionId(link), id);
+    assert.equal(normalizeNotionId(link, { block: true }), blockId);
+    assert.equal(normalizeNotionId(`https://www.notion.so/My-Page-${compact}`, { block: true }), id);
+  });
+
+  it('returns null for aliases, other sites and malformed IDs', () => {
+    assert.equal(normalizeNotionId('tasks'), null);
+    assert.equal(normalizeNotionId(`https://example.com/${compact}`), null);
+    assert.equal(normalizeNotionId('https://www.notion.so/My-Page'), null);
+    assert.equal(normalizeNotionId(compact.slice(1)), null);
+  });
+});
+
+describe('parseTitleReference', () => {
+  it('reads quoted and unquoted titles', () => {
+    assert.equal(parseTitleReference('title:"Q3 Roadmap"'), 'Q3 Roadmap');
+    assert.equal(parseTitleReference("title:'Weekly sync'"), 'Weekly sync');
+    assert.equal(parseTitleReference('title: Launch plan'), 'Launch plan');
+  });
+
+  it('returns null for anything else', () => {
+    assert.equal(parseTitleReference('tasks'), null);
+    assert.equal(parseTitleReference('title:'), null);
+  });
+});
+
 // ─── buildFilterFromSchema ─────────────────────────────────────────────────────
 
 describe('buildFilterFromSchema', () => {
@@ -838,6 +1061,303 @@ describe('buildFilterFromSchema', () => {
   });
 });
 
+// ─── Explicit filter operators ─────────────────────────────────────────────────
+
+describe('buildFilterFromSchema — explicit operators', () => {
+  const schema = {
+    name: { type: 'title', name: 'Name' },
+    status: { type: 'select', name: 'Status' },
+    tags: { type: 'multi_select', name: 'Tags' },
+    assignee: { type: 'people', name: 'Assignee' },
+    project: { type: 'relation', name: 'Project' },
+    attachments: { type: 'files', name: 'Attachments' },
+    due: { type: 'date', name: 'Due' },
+    done: { type: 'checkbox', name: 'Done' },
+  };
+
+  it('== is an exact match on title', () => {
+    const result = buildFilterFromSchema(schema, 'Name==Launch');
+    assert.deepEqual(result.filter, { property: 'Name', title: { equals: 'Launch' } });
+  });
+
+  it('!== is an exact mismatch on title', () => {
+    const result = buildFilterFromSchema(schema, 'Name!==Launch');
+    assert.deepEqual(result.filter, { property: 'Name', title: { does_not_equal: 'Launch' } });
+  });
+
+  it('~ and !~ map to contains / does_not_contain', () => {
+    assert.deepEqual(buildFilterFromSchema(schema, 'Name~unch').filter, { property: 'Name', title: { contains: 'unch' } });
+    assert.deepEqual(buildFilterFromSchema(schema, 'Tags!~stale').filter, { property: 'Tags', multi_select: { does_not_contain: 'stale' } });
+  });
+
+  it('^= and $= map to starts_with / ends_with', () => {
+    assert.deepEqual(buildFilterFromSchema(schema, 'Name^=Draft').filter, { property: 'Name', title: { starts_with: 'Draft' } });
+    assert.deepEqual(buildFilterFromSchema(schema, 'Name$=v2').filter, { property: 'Name', title: { ends_with: 'v2' } });
+  });
+
+  it('is_empty and is_not_empty take no value', () => {
+    assert.deepEqual(buildFilterFromSchema(schema, 'Assignee is_empty').filter, { property: 'Assignee', people: { is_empty: true } });
+    assert.deepEqual(buildFilterFromSchema(schema, 'Due is not empty').filter, { property: 'Due', date: { is_not_empty: true } });
+    assert.deepEqual(buildFilterFromSchema(schema, 'Attachments is_empty').filter, { property: 'Attachments', files: { is_empty: true } });
+  });
+
+  it('= and != on people and relation use contains', () => {
+    assert.deepEqual(buildFilterFromSchema(schema, 'Assignee=user-1').filter, { property: 'Assignee', people: { contains: 'user-1' } });
+    assert.deepEqual(buildFilterFromSchema(schema, 'Project!=page-1').filter, { property: 'Project', relation: { does_not_contain: 'page-1' } });
+  });
+
+  it('rejects operators that are illegal for the type', () => {
+    const result = buildFilterFromSchema(schema, 'Status>3');
+    assert.ok(result.error.includes('not supported for select'));
+    assert.ok(result.error.includes('is_empty'));
+    assert.ok(buildFilterFromSchema(schema, 'Tags==a').error);
+    assert.ok(buildFilterFromSchema(schema, 'Due!=today').error);
+    assert.ok(buildFilterFromSchema(schema, 'Attachments~x').error);
+    assert.ok(buildFilterFromSchema(schema, 'Done is_empty').error);
+  });
+
+  it('keeps "is empty" text as a value when another operator comes first', () => {
+    const result = buildFilterFromSchema(schema, 'Name=this is empty');
+    assert.deepEqual(result.filter, { property: 'Name', title: { contains: 'this is empty' } });
+  });
+
+  it('NOT inverts emptiness and contains in --where', () => {
+    const result = buildWhereFilter(schema, 'NOT Assignee is_empty AND NOT Name~x');
+    assert.deepEqual(result.filter, {
+      and: [
+        { property: 'Assignee', people: { is_not_empty: true } },
+        { property: 'Name', title: { does_not_contain: 'x' } },
+      ],
+    });
+  });
+
+  it('getSupportedOperators lists operators legal for a type', () => {
+    assert.deepEqual(getSupportedOperators('files'), ['is_empty', 'is_not_empty']);
+    assert.ok(getSupportedOperators('title').includes('^='));
+    assert.ok(!getSupportedOperators('checkbox').includes('>'));
+  });
+});
+
+// ─── Formula, rollup and timestamp filters ─────────────────────────────────────
+
+describe('buildFilterFromSchema — formula, rollup and timestamp', () => {
+  const schema = {
+    score: { type: 'formula', name: 'Score' },
+    tasks: { type: 'rollup', name: 'Tasks', rollupFunction: 'show_original' },
+    total: { type: 'rollup', name: 'Total', rollupFunction: 'sum' },
+    latest: { type: 'rollup', name: 'Latest', rollupFunction: 'latest_date' },
+    created: { type: 'created_time', name: 'Created' },
+  };
+
+  it('keys formula filters on the inferred result type', () => {
+    assert.deepEqual(buildFilterFromSchema(schema, 'Score>5').filter, {
+      property: 'Score', formula: { number: { greater_than: 5 } },
+    });
+    assert.deepEqual(buildFilterFromSchema(schema, 'Score=abc').filter, {
+      property: 'Score', formula: { string: { contains: 'abc' } },
+    });
+    assert.deepEqual(buildFilterFromSchema(schema, 'Score=true').filter, {
+      property: 'Score', formula: { checkbox: { equals: true } },
+    });
+  });
+
+  it('accepts an explicit formula result type', () => {
+    assert.deepEqual(buildFilterFromSchema(schema, 'Score:string==42').filter, {
+      property: 'Score', formula: { string: { equals: '42' } },
+    });
+    assert.ok(buildFilterFromSchema(schema, 'Score:bogus=1').error);
+  });
+
+  it('says the formula type was inferred when the filter does not fit it', () => {
+    const result = buildFilterFromSchema(schema, 'Score>abc');
+    assert.match(result.error, /inferred as string/);
+    assert.match(result.error, /"Score:string\|number\|checkbox\|date"/);
+    assert.doesNotMatch(buildFilterFromSchema(schema, 'Score:number>abc').error, /inferred/);
+  });
+
+  it('compares aggregated number and date rollups directly', () => {
+    assert.deepEqual(buildFilterFromSchema(schema, 'Total>=10').filter, {
+      property: 'Total', rollup: { number: { greater_than_or_equal_to: 10 } },
+    });
+    assert.deepEqual(buildFilterFromSchema(schema, 'Latest<2024-01-01').filter, {
+      property: 'Latest', rollup: { date: { before: '2024-01-01' } },
+    });
+  });
+
+  it('uses any/every/none for array rollups', () => {
+    assert.deepEqual(buildFilterFromSchema(schema, 'Tasks~ship').filter, {
+      property: 'Tasks', rollup: { any: { rich_text: { contains: 'ship' } } },
+    });
+    assert.deepEqual(buildFilterFromSchema(schema, 'Tasks:every:select=Done').filter, {
+      property: 'Tasks', rollup: { every: { select: { equals: 'Done' } } },
+    });
+    assert.deepEqual(buildFilterFromSchema(schema, 'Tasks:none>3').filter, {
+      property: 'Tasks', rollup: { none: { number: { greater_than: 3 } } },
+    });
+  });
+
+  it('builds timestamp filters for bare timestamp keys', () => {
+    assert.deepEqual(buildFilterFromSchema(schema, 'last_edited_time>2024-05-01').filter, {
+      timestamp: 'last_edited_time', last_edited_time: { after: '2024-05-01' },
+    });
+  });
+
+  it('builds timestamp filters for created_time properties', () => {
+    assert.deepEqual(buildFilterFromSchema(schema, 'Created>=2024-01-01').filter, {
+      timestamp: 'created_time', created_time: { on_or_after: '2024-01-01' },
+    });
+  });
+
+  it('resolves relative dates in timestamp filters', () => {
+    const result = buildFilterFromSchema(schema, 'last_edited_time>yesterday');
+    assert.equal(result.filter.last_edited_time.after, resolveRelativeDate('yesterday'));
+  });
+
+  it('rejects modifiers on plain properties', () => {
+    const result = buildFilterFromSchema({ name: { type: 'title', name: 'Name' } }, 'Name:any=x');
+    assert.ok(result.error.includes('only apply to formula and rollup'));
+  });
+
+  it('inferValueType guesses checkbox, number, date and string', () => {
+    assert.equal(inferValueType('=', 'true'), 'checkbox');
+    assert.equal(inferValueType('>', '3.5'), 'number');
+    assert.equal(inferValueType('>=', '2024-01-01'), 'date');
+    assert.equal(inferValueType('<', '-7d'), 'date');
+    assert.equal(inferValueType('=', 'hello'), 'string');
+  });
+
+  it('inferValueType leaves date words to an explicit :date', () => {
+    for (const word of ['today', 'Mon', 'sat', 'next friday', 'this_week']) {
+      assert.equal(inferValueType('=', word), 'string', word);
+    }
+    assert.deepEqual(buildFilterFromSchema(schema, 'Score=Mon').filter, {
+      property: 'Score', formula: { string: { contains: 'Mon' } },
+    });
+    assert.deepEqual(buildFilterFromSchema(schema, 'Score:date=this_week').filter, {
+      property: 'Score', formula: { date: { this_week: {} } },
+    });
+    assert.deepEqual(buildFilterFromSchema(schema, 'Tasks:date<today').filter.rollup.any.date, {
+      before: resolveRelativeDate('today'),
+    });
+    assert.equal(inferValueType('is_empty', ''), 'string');
+  });
+});
+
+// ─── Relation subqueries ───────────────────────────────────────────────────────
+
+describe('buildFilterFromSchema — relation subqueries', () => {
+  const schema = {
+    'project.v2': { type: 'rich_text', name: 'Project.v2' },
+    project: { type: 'relation', name: 'Project', dataSourceId: 'ds-projects' },
+    orphan: { type: 'relation', name: 'Orphan' },
+    client: { type: 'relation', name: 'Client', databaseId: 'db-clients' },
+  };
+
+  it('keeps Project=Apollo as a contains clause for title lookup', () => {
+    assert.deepEqual(buildFilterFromSchema(schema, 'Project=Apollo').filter, {
+      property: 'Project', relation: { contains: 'Apollo' },
+    });
+  });
+
+  it('turns Project.Status=Active into a subquery placeholder', () => {
+    assert.deepEqual(buildFilterFromSchema(schema, 'project.Status=Active').filter, {
+      property: 'Project',
+      relation: { subquery: { data_source_id: 'ds-projects', key: 'Status', operator: '=', value: 'Active' } },
+    });
+  });
+
+  it('prefers a property whose name contains the dot', () => {
+    assert.deepEqual(buildFilterFromSchema(schema, 'Project.v2=x').filter, {
+      property: 'Project.v2', rich_text: { contains: 'x' },
+    });
+  });
+
+  it('names the related database when its data source is not in the schema', () => {
+    assert.deepEqual(buildFilterFromSchema(schema, 'Client.Tier=Gold').filter.relation.subquery, {
+      database_id: 'db-clients', key: 'Tier', operator: '=', value: 'Gold',
+    });
+  });
+
+  it('errors when the related database is unknown', () => {
+    assert.match(buildFilterFromSchema(schema, 'Orphan.Status=Active').error, /related database is unknown/);
+  });
+
+  it('keeps the subquery and marks it negated under NOT', () => {
+    assert.deepEqual(buildWhereFilter(schema, 'NOT Project.Status=Active').filter, {
+      property: 'Project',
+      relation: { subquery: { data_source_id: 'ds-projects', key: 'Status', operator: '=', value: 'Active', negate: true } },
+    });
+    assert.equal(buildWhereFilter(schema, 'NOT NOT Project.Status=Active').filter.relation.subquery.negate, undefined);
+  });
+});
+
+describe('expandRelationSubquery', () => {
+  it('ORs one contains clause per matched page', () => {
+    assert.deepEqual(expandRelationSubquery('Project', ['p1', 'p2']), {
+      or: [
+        { property: 'Project', relation: { contains: 'p1' } },
+        { property: 'Project', relation: { contains: 'p2' } },
+      ],
+    });
+    assert.deepEqual(expandRelationSubquery('Project', ['p1']), {
+      property: 'Project', relation: { contains: 'p1' },
+    });
+  });
+
+  it('matches nothing when the subquery found no pages', () => {
+    const filter = expandRelationSubquery('Project', []);
+    assert.deepEqual(filter.and.map(f => Object.keys(f.relation)[0]), ['is_empty', 'is_not_empty']);
+  });
+
+  it('ANDs one does_not_contain clause per matched page when negated', () => {
+    assert.deepEqual(expandRelationSubquery('Project', ['p1', 'p2'], { negate: true }), {
+      and: [
+        { property: 'Project', relation: { does_not_contain: 'p1' } },
+        { property: 'Project', relation: { does_not_contain: 'p2' } },
+      ],
+    });
+    const filter = expandRelationSubquery('Project', [], { negate: true });
+    assert.deepEqual(filter.or.map(f => Object.keys(f.relation)[0]), ['is_empty', 'is_not_empty']);
+  });
+});
+
+// ─── Native relative date filters ──────────────────────────────────────────────
+
+describe('buildFilterFromSchema — relative dates', () => {
+  const schema = { due: { type: 'date', name: 'Due' } };
+
+  it('maps = keywords to native Notion conditions', () => {
+    assert.deepEqual(buildFilterFromSchema(schema, 'Due=this_week').filter, { property: 'Due', date: { this_week: {} } });
+    assert.deepEqual(buildFilterFromSchema(schema, 'Due=past month').filter, { property: 'Due', date: { past_month: {} } });
+    assert.deepEqual(buildFilterFromSchema(schema, 'Due=past_week').filter, { property: 'Due', date: { past_week: {} } });
+    assert.deepEqual(buildFilterFromSchema(schema, 'Due=next_year').filter, { property: 'Due', date: { next_year: {} } });
+  });
+
+  it('keeps last_* and next_week meaning a date, as before native conditions existed', () => {
+    for (const keyword of ['last_week', 'next_week', 'last_month', 'last_year']) {
+      assert.deepEqual(buildFilterFromSchema(schema, `Due=${keyword}`).filter, {
+        property: 'Due', date: { equals: resolveRelativeDate(keyword) },
+      });
+    }
+  });
+
+  it('resolves keywords to dates for comparison operators', () => {
+    const result = buildFilterFromSchema(schema, 'Due>=next_week');
+    assert.deepEqual(result.filter, { property: 'Due', date: { on_or_after: resolveRelativeDate('next_week') } });
+  });
+
+  it('resolves offsets in filters', () => {
+    const result = buildFilterFromSchema(schema, 'Due<+3d');
+    assert.deepEqual(result.filter, { property: 'Due', date: { before: resolveRelativeDate('+3d') } });
+  });
+
+  it('uses native conditions for timestamp filters too', () => {
+    assert.deepEqual(buildFilterFromSchema(schema, 'created_time=past_week').filter, {
+      timestamp: 'created_time', created_time: { past_week: {} },
+    });
+  });
+});
+
 // ─── parseFilterOperator ─────────────────────────────────────────────────────
 
 describe('parseFilterOperator', () => {
@@ -876,6 +1396,20 @@ describe('parseFilterOperator', () => {
     assert.deepEqual(result, { key: 'Description', operator: '=', value: 'x>=y' });
   });
 
+  it('parses multi-character operators', () => {
+    assert.equal(parseFilterOperator('Name==x').operator, '==');
+    assert.equal(parseFilterOperator('Name!==x').operator, '!==');
+    assert.equal(parseFilterOperator('Name!~x').operator, '!~');
+    assert.equal(parseFilterOperator('Name^=x').operator, '^=');
+    assert.equal(parseFilterOperator('Name$=x').operator, '$=');
+    assert.equal(parseFilterOperator('Name~x').operator, '~');
+  });
+
+  it('parses unary emptiness operators', () => {
+    assert.deepEqual(parseFilterOperator('Due Date is_empty'), { key: 'Due Date', operator: 'is_empty', value: '' });
+    assert.deepEqual(parseFilterOperator('Owner is not empty'), { key: 'Owner', operator: 'is_not_empty', value: '' });
+  });
+
   it('returns error for missing operator', () => {
     const result = parseFilterOperator('justtext');
     assert.ok(result.error);
@@ -884,26 +1418,87 @@ describe('parseFilterOperator', () => {
 
 // ─── resolveRelativeDate ───────────────────────────────────────────────────────
 
+/** Run fn with process.env.TZ set to timeZone, restoring it afterwards */
+function withTimeZone(timeZone, fn) {
+  const saved = process.env.TZ;
+  process.env.TZ = timeZone;
+  try {
+    return fn();
+  } finally {
+    if (saved === undefined) delete process.env.TZ;
+    else process.env.TZ = saved;
+  }
+}
+
+/** Local calendar date as YYYY-MM-DD */
+function localIsoDate(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
 describe('resolveRelativeDate', () => {
   it('resolves today', () => {
-    const result = resolveRelativeDate('today');
-    // Use local date (same as the function does)
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    assert.equal(result, today.toISOString().split('T')[0]);
+    assert.equal(resolveRelativeDate('today'), localIsoDate(new Date()));
   });
 
   it('resolves yesterday', () => {
-    const result = resolveRelativeDate('yesterday');
     const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    today.setDate(today.getDate() - 1);
-    assert.equal(result, today.toISOString().split('T')[0]);
+    const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+    assert.equal(resolveRelativeDate('yesterday'), localIsoDate(yesterday));
+  });
+
+  it('uses the local calendar date in time zones east of UTC', () => {
+    withTimeZone('Europe/Berlin', () => {
+      // 2026-10-19 is a Monday
+      const now = new Date(2026, 9, 19, 0, 30);
+      assert.equal(resolveRelativeDate('today', now), '2026-10-19');
+      assert.equal(resolveRelativeDate('this_month', now), '2026-10-01');
+      assert.equal(resolveRelativeDate('next monday', now), '2026-10-26');
+    });
+    withTimeZone('Asia/Tokyo', () => {
+      assert.equal(resolveRelativeDate('tomorrow', new Date(2026, 0, 31, 8)), '2026-02-01');
+    });
   });
 
   it('passes through non-keyword values', () => {
     assert.equal(resolveRelativeDate('2024-06-15'), '2024-06-15');
   });
+
+  // 2025-02-12 is a Wednesday
+  const now = new Date(2025, 1, 12, 15, 30);
+
+  it('resolves signed offsets in days, weeks, months and years', () => {
+    assert.equal(resolveRelativeDate('-3d', now), '2025-02-09');
+    assert.equal(resolveRelativeDate('+2w', now), '2025-02-26');
+    assert.equal(resolveRelativeDate('+1m', now), '2025-03-12');
+    assert.equal(resolveRelativeDate('-1y', now), '2024-02-12');
+    assert.equal(resolveRelativeDate('+10 days', now), '2025-02-22');
+  });
+
+  it('clamps month offsets to the end of the month', () => {
+    assert.equal(resolveRelativeDate('+1m', new Date(2025, 0, 31)), '2025-02-28');
+  });
+
+  it('resolves period starts and ends', () => {
+    assert.equal(resolveRelativeDate('this_week', now), '2025-02-10');
+    assert.equal(resolveRelativeDate('end_of_week', now), '2025-02-16');
+    assert.equal(resolveRelativeDate('this_month', now), '2025-02-01');
+    assert.equal(resolveRelativeDate('end_of_month', now), '2025-02-28');
+    assert.equal(resolveRelativeDate('start_of_quarter', now), '2025-01-01');
+    assert.equal(resolveRelativeDate('end-of-quarter', now), '2025-03-31');
+    assert.equal(resolveRelativeDate('start of year', now), '2025-01-01');
+  });
+
+  it('resolves weekday names', () => {
+    assert.equal(resolveRelativeDate('friday', now), '2025-02-14');
+    assert.equal(resolveRelativeDate('wednesday', now), '2025-02-12');
+    assert.equal(resolveRelativeDate('next monday', now), '2025-02-17');
+    assert.equal(resolveRelativeDate('next wednesday', now), '2025-02-19');
+    assert.equal(resolveRelativeDate('last fri', now), '2025-02-07');
+  });
+
+  it('leaves unknown words untouched', () => {
+    assert.equal(resolveRelativeDate('someday', now), 'someday');
+  });
 });
 
 // ─── buildCompoundFilter ───────────────────────────────────────────────────────
@@ -936,60 +1531,418 @@ describe('buildCompoundFilter', () => {
   });
 });
 
-// ─── markdownToBlocks ──────────────────────────────────────────────────────────
+// ─── parseWhereExpression ──────────────────────────────────────────────────────
 
-describe('markdownToBlocks', () => {
-  it('parses headings', () => {
-    const blocks = markdownToBlocks('# Title\n## Subtitle\n### Section');
-    assert.equal(blocks.length, 3);
-    assert.equal(blocks[0].type, 'heading_1');
-    assert.equal(blocks[1].type, 'heading_2');
-    assert.equal(blocks[2].type, 'heading_3');
+describe('parseWhereExpression', () => {
+  it('parses a single condition', () => {
+    const result = parseWhereExpression('Status=Active');
+    assert.deepEqual(result.tree, { type: 'cond', value: 'Status=Active' });
   });
 
-  it('parses paragraphs', () => {
-    const blocks = markdownToBlocks('Hello world');
-    assert.equal(blocks.length, 1);
-    assert.equal(blocks[0].type, 'paragraph');
-    assert.equal(blocks[0].paragraph.rich_text[0].text.content, 'Hello world');
+  it('gives AND precedence over OR', () => {
+    const result = parseWhereExpression('A=1 OR B=2 AND C=3');
+    assert.deepEqual(result.tree, {
+      type: 'or',
+      children: [
+        { type: 'cond', value: 'A=1' },
+        { type: 'and', children: [{ type: 'cond', value: 'B=2' }, { type: 'cond', value: 'C=3' }] },
+      ],
+    });
   });
 
-  it('parses bullet lists', () => {
-    const blocks = markdownToBlocks('- Item 1\n- Item 2\n* Item 3');
-    assert.equal(blocks.length, 3);
-    blocks.forEach(b => assert.equal(b.type, 'bulleted_list_item'));
+  it('respects parentheses and NOT', () => {
+    const result = parseWhereExpression('NOT (A=1 or B=2)');
+    assert.deepEqual(result.tree, {
+      type: 'not',
+      child: { type: 'or', children: [{ type: 'cond', value: 'A=1' }, { type: 'cond', value: 'B=2' }] },
+    });
   });
 
-  it('parses nested bullet lists', () => {
-    const blocks = markdownToBlocks('- Item 1\n  - Sub 1\n    - Sub 2\n- Item 2');
-    assert.equal(blocks.length, 2);
-    assert.equal(blocks[0].type, 'bulleted_list_item');
-    assert.equal(blocks[0].bulleted_list_item.children.length, 1);
-    assert.equal(blocks[0].bulleted_list_item.children[0].type, 'bulleted_list_item');
-    assert.equal(
-      blocks[0].bulleted_list_item.children[0].bulleted_list_item.children.length,
-      1,
-    );
-    assert.equal(blocks[1].type, 'bulleted_list_item');
+  it('keeps quoted keywords and parentheses inside values', () => {
+    const result = parseWhereExpression('Name="Rock (Live) AND Roll"');
+    assert.deepEqual(result.tree, { type: 'cond', value: 'Name="Rock (Live) AND Roll"' });
   });
 
-  it('parses numbered lists', () => {
-    const blocks = markdownToBlocks('1. First\n2. Second');
-    assert.equal(blocks.length, 2);
-    blocks.forEach(b => assert.equal(b.type, 'numbered_list_item'));
+  it('keeps spaced conditions together', () => {
+    const result = parseWhereExpression('Due Date >= today');
+    assert.deepEqual(result.tree, { type: 'cond', value: 'Due Date >= today' });
   });
 
-  it('parses code blocks', () => {
-    const blocks = markdownToBlocks('```javascript\nconst x = 1;\n```');
-    assert.equal(blocks.length, 1);
-    assert.equal(blocks[0].type, 'code');
-    assert.equal(blocks[0].code.language, 'javascript');
-    assert.equal(blocks[0].code.rich_text[0].text.content, 'const x = 1;');
+  it('returns error for unbalanced parentheses', () => {
+    assert.ok(parseWhereExpression('(A=1 OR B=2').error.includes('missing closing'));
+    assert.ok(parseWhereExpression('A=1)').error.includes('unexpected ")"'));
   });
 
-  it('parses quotes', () => {
-    const blocks = markdownToBlocks('> This is a quote');
-    assert.equal(blocks[0].type, 'quote');
+  it('returns error for dangling operators and unterminated quotes', () => {
+    assert.ok(parseWhereExpression('A=1 AND').error.includes('end of expression'));
+    assert.ok(parseWhereExpression('Name="oops').error.includes('unterminated quote'));
+    assert.ok(parseWhereExpression('   ').error);
+  });
+});
+
+// ─── buildWhereFilter ──────────────────────────────────────────────────────────
+
+describe('buildWhereFilter', () => {
+  const schema = {
+    name: { type: 'title', name: 'Name' },
+    status: { type: 'select', name: 'Status' },
+    priority: { type: 'number', name: 'Priority' },
+    'due date': { type: 'date', name: 'Due Date' },
+  };
+
+  it('compiles OR groups nested in AND', () => {
+    const result = buildWhereFilter(schema, '(Status=Active OR Status=Blocked) AND Priority>=3');
+    assert.deepEqual(result.filter, {
+      and: [
+        {
+          or: [
+            { property: 'Status', select: { equals: 'Active' } },
+            { property: 'Status', select: { equals: 'Blocked' } },
+          ],
+        },
+        { property: 'Priority', number: { greater_than_or_equal_to: 3 } },
+      ],
+    });
+  });
+
+  it('pushes NOT down with De Morgan and inverted operators', () => {
+    const result = buildWhereFilter(schema, 'NOT (Status=Active OR Priority<2)');
+    assert.deepEqual(result.filter, {
+      and: [
+        { property: 'Status', select: { does_not_equal: 'Active' } },
+        { property: 'Priority', number: { greater_than_or_equal_to: 2 } },
+      ],
+    });
+  });
+
+  it('cancels double negation', () => {
+    const result = buildWhereFilter(schema, 'NOT NOT Status=Active');
+    assert.deepEqual(result.filter, { property: 'Status', select: { equals: 'Active' } });
+  });
+
+  it('flattens same-kind groups', () => {
+    const result = buildWhereFilter(schema, 'Status=A AND (Priority>1 AND Name=x)');
+    assert.equal(result.filter.and.length, 3);
+  });
+
+  it('unquotes spaced property names and values', () => {
+    const result = buildWhereFilter(schema, '"Due Date" >= 2024-01-01 AND Name = "a OR b"');
+    assert.deepEqual(result.filter, {
+      and: [
+        { property: 'Due Date', date: { on_or_after: '2024-01-01' } },
+        { property: 'Name', title: { contains: 'a OR b' } },
+      ],
+    });
+  });
+
+  it('treats NOT inside a value as text', () => {
+    const result = buildWhereFilter(schema, 'Status = Not Started');
+    assert.deepEqual(result.filter, { property: 'Status', select: { equals: 'Not Started' } });
+  });
+
+  it('rejects expressions nested deeper than Notion allows', () => {
+    const result = buildWhereFilter(schema, 'Status=A AND (Priority>1 OR (Name=x AND Name=y))');
+    assert.ok(result.error.includes('nests too deeply'));
+  });
+
+  it('surfaces unknown properties from conditions', () => {
+    const result = buildWhereFilter(schema, 'Status=A OR Bogus=1');
+    assert.ok(result.error.includes('"Bogus" not found'));
+    assert.ok(result.available.includes('Status'));
+  });
+});
+
+// ─── buildQueryFilter ──────────────────────────────────────────────────────────
+
+describe('buildQueryFilter', () => {
+  const schema = {
+    status: { type: 'select', name: 'Status' },
+    priority: { type: 'number', name: 'Priority' },
+  };
+
+  it('ANDs --filter strings with a --where expression', () => {
+    const result = buildQueryFilter(schema, ['Priority>1'], 'Status=A OR Status=B');
+    assert.deepEqual(result.filter, {
+      and: [
+        { property: 'Priority', number: { greater_than: 1 } },
+        { or: [{ property: 'Status', select: { equals: 'A' } }, { property: 'Status', select: { equals: 'B' } }] },
+      ],
+    });
+  });
+
+  it('uses --where alone when no filters are given', () => {
+    const result = buildQueryFilter(schema, [], 'Status=A');
+    assert.deepEqual(result.filter, { property: 'Status', select: { equals: 'A' } });
+  });
+
+  it('returns error when nothing is given', () => {
+    assert.ok(buildQueryFilter(schema, [], undefined).error);
+  });
+});
+
+// ─── squashPropertyName ────────────────────────────────────────────────────────
+
+describe('squashPropertyName', () => {
+  it('lowercases and drops spaces and punctuation, keeping letters and digits', () => {
+    assert.equal(squashPropertyName('Due Date'), 'duedate');
+    assert.equal(squashPropertyName('due_date-2'), 'duedate2');
+    assert.equal(squashPropertyName('État (€)'), 'état');
+  });
+});
+
+// ─── findSchemaEntry ───────────────────────────────────────────────────────────
+
+describe('findSchemaEntry', () => {
+  const schema = {
+    'due date': { type: 'date', name: 'Due Date' },
+    status: { type: 'select', name: 'Status' },
+  };
+
+  it('matches case-insensitively', () => {
+    assert.equal(findSchemaEntry(schema, 'STATUS').name, 'Status');
+  });
+
+  it('matches kebab and snake case', () => {
+    assert.equal(findSchemaEntry(schema, 'due-date').name, 'Due Date');
+    assert.equal(findSchemaEntry(schema, 'due_date').name, 'Due Date');
+  });
+
+  it('matches ignoring spaces and punctuation', () => {
+    assert.equal(findSchemaEntry(schema, 'DueDate').name, 'Due Date');
+  });
+
+  it('returns null when nothing matches', () => {
+    assert.equal(findSchemaEntry(schema, 'Owner'), null);
+  });
+});
+
+// ─── Sorts ─────────────────────────────────────────────────────────────────────
+
+describe('parseSortString', () => {
+  it('parses key and direction', () => {
+    assert.deepEqual(parseSortString('Due:desc'), { key: 'Due', direction: 'descending' });
+    assert.deepEqual(parseSortString('Due:ascending'), { key: 'Due', direction: 'ascending' });
+  });
+
+  it('defaults to ascending', () => {
+    assert.deepEqual(parseSortString('Priority'), { key: 'Priority', direction: 'ascending' });
+  });
+
+  it('rejects unknown directions', () => {
+    assert.ok(parseSortString('Due:sideways').error);
+  });
+});
+
+describe('buildSortsFromSchema', () => {
+  const schema = {
+    priority: { type: 'number', name: 'Priority' },
+    'due date': { type: 'date', name: 'Due Date' },
+    'q:a': { type: 'rich_text', name: 'Q:A' },
+  };
+
+  it('keeps multiple sorts in precedence order', () => {
+    const result = buildSortsFromSchema(schema, ['priority:desc', 'due-date']);
+    assert.deepEqual(result.sorts, [
+      { property: 'Priority', direction: 'descending' },
+      { property: 'Due Date', direction: 'ascending' },
+    ]);
+  });
+
+  it('builds timestamp sorts', () => {
+    const result = buildSortsFromSchema(schema, ['last_edited_time:desc', 'created_time']);
+    assert.deepEqual(result.sorts, [
+      { timestamp: 'last_edited_time', direction: 'descending' },
+      { timestamp: 'created_time', direction: 'ascending' },
+    ]);
+  });
+
+  it('accepts a single string', () => {
+    assert.deepEqual(buildSortsFromSchema(schema, 'Priority:asc').sorts, [{ property: 'Priority', direction: 'ascending' }]);
+  });
+
+  it('handles property names containing colons', () => {
+    assert.deepEqual(buildSortsFromSchema(schema, ['Q:A']).sorts, [{ property: 'Q:A', direction: 'ascending' }]);
+    assert.deepEqual(buildSortsFromSchema(schema, ['Q:A:desc']).sorts, [{ property: 'Q:A', direction: 'descending' }]);
+  });
+
+  it('returns error with available properties for unknown keys', () => {
+    const result = buildSortsFromSchema(schema, ['Bogus:desc']);
+    assert.ok(result.error.includes('"Bogus"'));
+    assert.ok(result.available.includes('Priority'));
+    assert.ok(result.available.includes('last_edited_time'));
+  });
+});
+
+describe('buildSearchOptions', () => {
+  it('maps --type to an object filter (databases are data sources)', () => {
+    assert.deepEqual(buildSearchOptions({ type: 'page' }), { filter: { property: 'object', value: 'page' } });
+    assert.deepEqual(buildSearchOptions({ type: 'Database' }).filter, { property: 'object', value: 'data_source' });
+  });
+
+  it('maps --sort edited to a last_edited_time sort', () => {
+    assert.deepEqual(buildSearchOptions({ sort: 'edited:desc' }).sort, { timestamp: 'last_edited_time', direction: 'descending' });
+    assert.equal(buildSearchOptions({ sort: 'edited' }).sort.direction, 'ascending');
+  });
+
+  it('returns nothing extra when no options are given', () => {
+    assert.deepEqual(buildSearchOptions({}), {});
+  });
+
+  it('rejects unknown types and sort keys', () => {
+    assert.match(buildSearchOptions({ type: 'user' }).error, /Unknown search type "user"/);
+    assert.match(buildSearchOptions({ sort: 'created:asc' }).error, /Cannot sort search results by "created"/);
+    assert.match(buildSearchOptions({ sort: 'edited:sideways' }).error, /Invalid sort direction/);
+  });
+});
+
+// ─── Group-by and aggregation ──────────────────────────────────────────────────
+
+describe('buildAggregationPlan', () => {
+  const schema = {
+    name: { type: 'title', name: 'Name' },
+    status: { type: 'status', name: 'Status' },
+    points: { type: 'number', name: 'Points' },
+    due: { type: 'date', name: 'Due' },
+  };
+
+  it('defaults to a count aggregation', () => {
+    const { plan } = buildAggregationPlan(schema, 'status');
+    assert.deepEqual(plan.groupBy, { name: 'Status', type: 'status', bucket: null });
+    assert.deepEqual(plan.aggregations, [{ fn: 'count', label: 'count' }]);
+  });
+
+  it('parses date buckets and property aggregations', () => {
+    const { plan } = buildAggregationPlan(schema, 'Due:week', ['sum:points', 'max:Due']);
+    assert.equal(plan.groupBy.bucket, 'week');
+    assert.deepEqual(plan.aggregations.map(a => a.label), ['sum(Points)', 'max(Due)']);
+  });
+
+  it('groups on page timestamps', () => {
+    const { plan } = buildAggregationPlan(schema, 'created_time:month');
+    assert.equal(plan.groupBy.name, 'created_time');
+    assert.equal(plan.groupBy.timestamp, true);
+  });
+
+  it('rejects bad buckets, properties and aggregations', () => {
+    assert.match(buildAggregationPlan(schema, 'Status:week').error, /only apply to date/);
+    assert.match(buildAggregationPlan(schema, 'Due:fortnight').error, /Unknown date bucket/);
+    assert.match(buildAggregationPlan(schema, 'Owner').error, /not found/);
+    assert.match(buildAggregationPlan(schema, 'Status', ['sum']).error, /needs a property/);
+    assert.match(buildAggregationPlan(schema, 'Status', ['sum:Name']).error, /Cannot sum title/);
+    assert.match(buildAggregationPlan(schema, 'Status', ['median:Points']).error, /Unknown aggregation/);
+  });
+});
+
+describe('bucketDate', () => {
+  it('buckets dates by day, week, month, quarter and year', () => {
+    assert.equal(bucketDate('2025-02-16T09:00:00.000Z', 'day'), '2025-02-16');
+    assert.equal(bucketDate('2025-02-16', 'week'), '2025-02-10');
+    assert.equal(bucketDate('2025-02-16', 'month'), '2025-02');
+    assert.equal(bucketDate('2025-08-01', 'quarter'), '2025-Q3');
+    assert.equal(bucketDate('2025-08-01', 'year'), '2025');
+  });
+});
+
+describe('groupKeys', () => {
+  it('gives one key per multi_select or people value', () => {
+    assert.deepEqual(groupKeys({ type: 'multi_select', multi_select: [{ name: 'a' }, { name: 'b' }] }), ['a', 'b']);
+    assert.deepEqual(groupKeys({ type: 'people', people: [{ id: 'u1', name: 'Ada' }, { id: 'u2' }] }), ['Ada', 'u2']);
+  });
+
+  it('uses an (empty) bucket for missing values', () => {
+    assert.deepEqual(groupKeys({ type: 'select', select: null }), ['(empty)']);
+    assert.deepEqual(groupKeys({ type: 'date', date: null }, 'month'), ['(empty)']);
+  });
+});
+
+describe('aggregatePages', () => {
+  const page = (status, points, due) => ({
+    properties: {
+      Status: { type: 'status', status: { name: status } },
+      Points: { type: 'number', number: points },
+      Due: { type: 'date', date: due ? { start: due } : null },
+    },
+  });
+  const pages = [page('Todo', 3, '2025-03-02'), page('Done', 5, '2025-01-15'), page('Todo', null, null)];
+
+  it('counts and sums per group in first-seen order', () => {
+    const plan = {
+      groupBy: { name: 'Status', type: 'status', bucket: null },
+      aggregations: [{ fn: 'count', label: 'count' }, { fn: 'sum', name: 'Points', type: 'number', label: 'sum(Points)' }],
+    };
+    const { rows, columns } = aggregatePages(pages, plan);
+    assert.deepEqual(columns, ['Status', 'count', 'sum(Points)']);
+    assert.deepEqual(rows, [
+      { Status: 'Todo', count: '2', 'sum(Points)': '3' },
+      { Status: 'Done', count: '1', 'sum(Points)': '5' },
+    ]);
+  });
+
+  it('sorts date buckets chronologically with (empty) last', () => {
+    const plan = {
+      groupBy: { name: 'Due', type: 'date', bucket: 'month' },
+      aggregations: [{ fn: 'avg', name: 'Points', type: 'number', label: 'avg(Points)' }],
+    };
+    const { rows } = aggregatePages(pages, plan);
+    assert.deepEqual(rows.map(r => r['Due (month)']), ['2025-01', '2025-03', '(empty)']);
+    assert.equal(rows[2]['avg(Points)'], '');
+  });
+});
+
+// ─── markdownToBlocks ──────────────────────────────────────────────────────────
+
+describe('markdownToBlocks', () => {
+  it('parses headings', () => {
+    const blocks = markdownToBlocks('# Title\n## Subtitle\n### Section');
+    assert.equal(blocks.length, 3);
+    assert.equal(blocks[0].type, 'heading_1');
+    assert.equal(blocks[1].type, 'heading_2');
+    assert.equal(blocks[2].type, 'heading_3');
+  });
+
+  it('parses paragraphs', () => {
+    const blocks = markdownToBlocks('Hello world');
+    assert.equal(blocks.length, 1);
+    assert.equal(blocks[0].type, 'paragraph');
+    assert.equal(blocks[0].paragraph.rich_text[0].text.content, 'Hello world');
+  });
+
+  it('parses bullet lists', () => {
+    const blocks = markdownToBlocks('- Item 1\n- Item 2\n* Item 3');
+    assert.equal(blocks.length, 3);
+    blocks.forEach(b => assert.equal(b.type, 'bulleted_list_item'));
+  });
+
+  it('parses nested bullet lists', () => {
+    const blocks = markdownToBlocks('- Item 1\n  - Sub 1\n    - Sub 2\n- Item 2');
+    assert.equal(blocks.length, 2);
+    assert.equal(blocks[0].type, 'bulleted_list_item');
+    assert.equal(blocks[0].bulleted_list_item.children.length, 1);
+    assert.equal(blocks[0].bulleted_list_item.children[0].type, 'bulleted_list_item');
+    assert.equal(
+      blocks[0].bulleted_list_item.children[0].bulleted_list_item.children.length,
+      1,
+    );
+    assert.equal(blocks[1].type, 'bulleted_list_item');
+  });
+
+  it('parses numbered lists', () => {
+    const blocks = markdownToBlocks('1. First\n2. Second');
+    assert.equal(blocks.length, 2);
+    blocks.forEach(b => assert.equal(b.type, 'numbered_list_item'));
+  });
+
+  it('parses code blocks', () => {
+    const blocks = markdownToBlocks('```javascript\nconst x = 1;\n```');
+    assert.equal(blocks.length, 1);
+    assert.equal(blocks[0].type, 'code');
+    assert.equal(blocks[0].code.language, 'javascript');
+    assert.equal(blocks[0].code.rich_text[0].text.content, 'const x = 1;');
+  });
+
+  it('parses quotes', () => {
+    const blocks = markdownToBlocks('> This is a quote');
+    assert.equal(blocks[0].type, 'quote');
   });
 
   it('parses dividers', () => {
@@ -1047,6 +2000,51 @@ describe('parseInlineFormatting', () => {
   });
 });
 
+// ─── splitMentions ─────────────────────────────────────────────────────────────
+
+describe('splitMentions', () => {
+  it('splits bare and bracketed @mentions from text', () => {
+    assert.deepEqual(splitMentions('Ask @Ada about @[title:Road map].'), [
+      { text: 'Ask ' },
+      { mention: 'Ada', bracketed: false, raw: '@Ada' },
+      { text: ' about ' },
+      { mention: 'title:Road map', bracketed: true, raw: '@[title:Road map]' },
+      { text: '.' },
+    ]);
+  });
+
+  it('keeps a trailing period out of bare mentions and accepts emails', () => {
+    assert.deepEqual(splitMentions('cc @ada@example.com.'), [
+      { text: 'cc ' },
+      { mention: 'ada@example.com', bracketed: false, raw: '@ada@example.com' },
+      { text: '.' },
+    ]);
+  });
+
+  it('ignores @ inside words and on its own', () => {
+    assert.deepEqual(splitMentions('mail me@example.com @ noon'), [{ text: 'mail me@example.com @ noon' }]);
+  });
+});
+
+// ─── splitRichText ─────────────────────────────────────────────────────────────
+
+describe('splitRichText', () => {
+  it('splits long runs and keeps their annotations', () => {
+    const run = { type: 'text', text: { content: 'abcdefg' }, annotations: { bold: true } };
+    assert.deepEqual(splitRichText([run], 3).map(r => r.text.content), ['abc', 'def', 'g']);
+    assert.ok(splitRichText([run], 3).every(r => r.annotations.bold));
+  });
+
+  it('leaves short runs and mentions untouched', () => {
+    const runs = [{ type: 'mention', mention: { type: 'user', user: { id: 'u1' } } }, { text: { content: 'hi' } }];
+    assert.deepEqual(splitRichText(runs, 3), runs);
+  });
+
+  it('does not cut an emoji in half', () => {
+    assert.deepEqual(splitRichText([{ text: { content: 'ab😀c' } }], 3).map(r => r.text.content), ['ab', '😀c']);
+  });
+});
+
 // ─── blocksToMarkdown ──────────────────────────────────────────────────────────
 
 describe('blocksToMarkdown', () => {
@@ -1225,6 +2223,83 @@ describe('extractDynamicProps', () => {
     const result = extractDynamicProps(argv, ['prop'], schema);
     assert.deepEqual(result, []);
   });
+
+  it('turns += and -= values into relative updates', () => {
+    const argv = ['node', 'notion', 'update', 'tasks', '--status', '+=Done', '--due-date=-=2d'];
+    const result = extractDynamicProps(argv, ['prop'], schema);
+    assert.deepEqual(result, ['Status+=Done', 'Due Date-=2d']);
+  });
+
+  it('skips global flags registered on the parent command', () => {
+    const { Command } = require('commander');
+    const program = new Command()
+      .option('-w, --workspace <name>')
+      .option('--verbose')
+      .option('--trace-file <path>');
+    const add = program.command('add <db>').option('--prop <key=value...>').option('--raw');
+    assert.deepEqual(registeredFlagNames(add), ['prop', 'raw', 'workspace', 'w', 'verbose', 'trace-file']);
+    const verboseSchema = { ...schema, verbose: { type: 'checkbox', name: 'Verbose' } };
+    const argv = ['node', 'notion', 'add', 'tasks', '--verbose', '--trace-file', 'calls.ndjson', '--name', 'Ship it'];
+    assert.deepEqual(extractDynamicProps(argv, registeredFlagNames(add), verboseSchema), ['Name=Ship it']);
+  });
+});
+
+// ─── Saved views ───────────────────────────────────────────────────────────────
+
+describe('buildViewDefinition', () => {
+  it('keeps only the query options that were given', () => {
+    const view = buildViewDefinition('tasks', {
+      filter: ['Status=Active'], sort: [], agg: [], where: undefined, limit: '10', output: 'csv',
+    });
+    assert.deepEqual(view, { database: 'tasks', filter: ['Status=Active'], limit: '10', output: 'csv' });
+  });
+
+  it('keeps --page-size only together with --limit', () => {
+    assert.equal(buildViewDefinition('tasks', { pageSize: '25' }).pageSize, undefined);
+    assert.equal(buildViewDefinition('tasks', { pageSize: '25', limit: '100' }).pageSize, '25');
+  });
+});
+
+describe('mergeViewOptions', () => {
+  const view = { database: 'tasks', filter: ['Status=Active'], sort: ['Due:asc'], output: 'csv' };
+
+  it('ANDs extra filters onto the saved ones', () => {
+    const merged = mergeViewOptions(view, { filter: ['Priority>=3'] });
+    assert.deepEqual(merged.filter, ['Status=Active', 'Priority>=3']);
+    assert.deepEqual(merged.sort, ['Due:asc']);
+    assert.deepEqual(view.filter, ['Status=Active']);
+  });
+
+  it('lets run-time options override saved ones', () => {
+    const merged = mergeViewOptions(view, { filter: [], output: 'json', limit: '5' });
+    assert.equal(merged.output, 'json');
+    assert.equal(merged.limit, '5');
+    assert.deepEqual(merged.filter, ['Status=Active']);
+  });
+
+  it('ignores a saved page size without a limit unless given at run time', () => {
+    const saved = { database: 'tasks', pageSize: '25' };
+    assert.equal(mergeViewOptions(saved, {}).pageSize, undefined);
+    assert.equal(mergeViewOptions(saved, { pageSize: '10' }).pageSize, '10');
+    assert.equal(mergeViewOptions({ ...saved, limit: '50' }, {}).pageSize, '25');
+  });
+
+  it('drops a saved template when --output is given at run time', () => {
+    const merged = mergeViewOptions({ database: 'tasks', template: '{{Name}}' }, { output: 'csv' });
+    assert.equal(merged.output, 'csv');
+    assert.equal(merged.template, undefined);
+  });
+});
+
+describe('describeView', () => {
+  it('renders the equivalent query arguments, quoting where needed', () => {
+    const view = { database: 'tasks', filter: ['Name=Ship it', 'Day>5'], sort: ['Due:desc'], columns: 'Name,Due' };
+    assert.equal(describeView(view), 'tasks --filter "Name=Ship it" --filter "Day>5" --sort Due:desc --columns Name,Due');
+  });
+
+  it('renders boolean flags without a value', () => {
+    assert.equal(describeView({ database: 'tasks', output: 'csv', stream: true }), 'tasks --output csv --stream');
+  });
 });
 
 // ─── paginate ──────────────────────────────────────────────────────────────────
@@ -1280,6 +2355,387 @@ describe('paginate', () => {
   });
 });
 
+describe('paginateIter', () => {
+  it('yields one batch per page as it is fetched', async () => {
+    const pages = [
+      { results: [1, 2], has_more: true, next_cursor: 'a' },
+      { results: [3], has_more: false, next_cursor: null },
+    ];
+    const cursors = [];
+    const fetchPage = async ({ start_cursor }) => {
+      cursors.push(start_cursor);
+      return pages[cursors.length - 1];
+    };
+
+    const batches = [];
+    for await (const batch of paginateIter(fetchPage)) {
+      batches.push(batch);
+      if (batches.length === 1) assert.equal(cursors.length, 1); // lazy: page 2 not fetched yet
+    }
+
+    assert.deepEqual(batches.map(b => b.results), [[1, 2], [3]]);
+    assert.deepEqual(cursors, [undefined, 'a']);
+    assert.equal(batches[0].next_cursor, 'a');
+    assert.equal(batches[1].has_more, false);
+  });
+
+  it('marks the last batch truncated when the limit is hit', async () => {
+    const fetchPage = async ({ page_size }) => ({ results: Array(page_size).fill(0), has_more: true, next_cursor: 'x' });
+    const batches = [];
+    for await (const batch of paginateIter(fetchPage, { limit: 3, pageSizeLimit: 2 })) batches.push(batch);
+
+    assert.deepEqual(batches.map(b => b.results.length), [2, 1]);
+    assert.equal(batches[1].truncated, true);
+    assert.equal(batches[1].next_cursor, 'x');
+  });
+});
+
+describe('paginate — cursors and page size', () => {
+  it('starts from startCursor and requests pageSize results per call', async () => {
+    const calls = [];
+    const fetchPage = async (args) => {
+      calls.push(args);
+      return calls.length === 1
+        ? { results: [1, 2], has_more: true, next_cursor: 'c2' }
+        : { results: [3], has_more: true, next_cursor: 'c3' };
+    };
+
+    const { results, truncated, next_cursor } = await paginate(fetchPage, { startCursor: 'c1', pageSize: 2, limit: 3 });
+
+    assert.deepEqual(calls, [{ start_cursor: 'c1', page_size: 2 }, { start_cursor: 'c2', page_size: 1 }]);
+    assert.deepEqual(results, [1, 2, 3]);
+    assert.equal(truncated, true);
+    assert.equal(next_cursor, 'c3');
+  });
+
+  it('caps pageSize at pageSizeLimit', async () => {
+    const calls = [];
+    await paginate(async (args) => { calls.push(args); return { results: [], has_more: false }; }, { pageSize: 500, pageSizeLimit: 100 });
+    assert.equal(calls[0].page_size, 100);
+  });
+});
+
+describe('streamFormatted', () => {
+  async function* batchesOf(...lists) {
+    for (const results of lists) yield { results };
+  }
+
+  async function captureLogAsync(fn) {
+    const lines = [];
+    const orig = console.log;
+    console.log = (...args) => lines.push(args.join(' '));
+    try {
+      await fn();
+    } finally {
+      console.log = orig;
+    }
+    return lines;
+  }
+
+  it('writes one JSON line per row for ndjson', async () => {
+    const lines = await captureLogAsync(() => streamFormatted(batchesOf([{ id: 1 }], [{ id: 2 }]), 'ndjson'));
+    assert.deepEqual(lines, ['{"id":1}', '{"id":2}']);
+  });
+
+  it('maps ndjson through toRows and keeps only the selected columns', async () => {
+    const toRows = results => results.map(r => ({ id: r.id, name: r.name, extra: 'x' }));
+    const lines = await captureLogAsync(() => streamFormatted(
+      batchesOf([{ id: 1, name: 'a', properties: {} }]), 'ndjson', { toRows, columns: ['name', 'id'] },
+    ));
+    assert.deepEqual(lines, ['{"name":"a","id":1}']);
+  });
+
+  it('writes the CSV header once and maps batches through toRows', async () => {
+    const toRows = results => results.map(r => ({ id: r.id, name: r.name.toUpperCase() }));
+    const lines = await captureLogAsync(() => streamFormatted(
+      batchesOf([{ id: 1, name: 'a' }], [{ id: 2, name: 'b, c' }]), 'csv', { toRows },
+    ));
+    assert.deepEqual(lines, ['id,name', '1,A', '2,"B, C"']);
+  });
+
+  it('continues YAML numbering across batches', async () => {
+    const lines = await captureLogAsync(() => streamFormatted(batchesOf([{ id: 1 }], [{ id: 2 }]), 'yaml', { columns: ['id'] }));
+    assert.match(lines.join('\n'), /# result 2\n {2}id: 2/);
+  });
+
+  it('prints (no results) when a tabular stream is empty', async () => {
+    const lines = await captureLogAsync(() => streamFormatted(batchesOf([]), 'csv'));
+    assert.deepEqual(lines, ['(no results)']);
+  });
+});
+
+// ─── Bulk operations ───────────────────────────────────────────────────────────
+
+describe('singleOrList', () => {
+  it('returns a lone result itself and several as an array', () => {
+    assert.deepEqual(singleOrList([{ id: 'a' }]), { id: 'a' });
+    assert.deepEqual(singleOrList([{ id: 'a' }, { id: 'b' }]), [{ id: 'a' }, { id: 'b' }]);
+  });
+});
+
+describe('runConcurrent', () => {
+  it('keeps at most `concurrency` calls in flight and results in input order', async () => {
+    let active = 0;
+    let peak = 0;
+    const results = await runConcurrent([30, 10, 20, 5, 15], 2, async (ms) => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      active--;
+      return ms * 2;
+    });
+    assert.equal(peak, 2);
+    assert.deepEqual(results.map(r => r.value), [60, 20, 40, 10, 30]);
+  });
+
+  it('records failures without stopping the run and reports progress', async () => {
+    const progress = [];
+    const results = await runConcurrent(['a', 'b', 'c'], 3, async (item) => {
+      if (item === 'b') throw new Error('nope');
+      return item.toUpperCase();
+    }, (done, total) => progress.push(`${done}/${total}`));
+    assert.deepEqual(results.map(r => r.ok), [true, false, true]);
+    assert.equal(results[1].error.message, 'nope');
+    assert.equal(results[1].item, 'b');
+    assert.deepEqual(progress, ['1/3', '2/3', '3/3']);
+  });
+
+  it('resolves to an empty list for no items', async () => {
+    assert.deepEqual(await runConcurrent([], 3, async () => 1), []);
+  });
+});
+
+describe('parseConcurrency', () => {
+  it('defaults to 3 and accepts whole numbers up to the maximum', () => {
+    assert.deepEqual(parseConcurrency(undefined), { concurrency: 3 });
+    assert.deepEqual(parseConcurrency('8'), { concurrency: 8 });
+  });
+
+  it('rejects zero, fractions and values above the maximum', () => {
+    for (const value of ['0', '1.5', '11', 'many']) {
+      assert.match(parseConcurrency(value).error, /Invalid --concurrency/);
+    }
+  });
+});
+
+// ─── Request scheduler ─────────────────────────────────────────────────────────
+
+describe('createScheduler', () => {
+  const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  it('keeps at most `concurrency` tasks running and settles each with its result', async () => {
+    const scheduler = createScheduler({ rate: 1000, concurrency: 2 });
+    let active = 0;
+    let peak = 0;
+    const task = value => scheduler.schedule(async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await delay(10);
+      active--;
+      return value;
+    });
+    assert.deepEqual(await Promise.all([1, 2, 3, 4, 5].map(task)), [1, 2, 3, 4, 5]);
+    assert.equal(peak, 2);
+  });
+
+  it('starts tasks no faster than the rate once the burst is used', async () => {
+    const scheduler = createScheduler({ rate: 50, burst: 1, concurrency: 10 });
+    const starts = [];
+    await Promise.all([1, 2, 3, 4].map(() => scheduler.schedule(async () => starts.push(Date.now()))));
+    // 3 tokens at 50/s after the first: at least ~60ms
+    assert.ok(starts[3] - starts[0] >= 55, `took ${starts[3] - starts[0]}ms`);
+    assert.ok(starts.every((t, i) => i === 0 || t >= starts[i - 1]));
+  });
+
+  it('passes rejections through and keeps going', async () => {
+    const scheduler = createScheduler({ rate: 1000, concurrency: 1 });
+    const failing = scheduler.schedule(async () => { throw new Error('boom'); });
+    const next = scheduler.schedule(async () => 'ok');
+    await assert.rejects(failing, /boom/);
+    assert.equal(await next, 'ok');
+  });
+});
+
+// ─── Relative updates ──────────────────────────────────────────────────────────
+
+describe('shiftIsoDate', () => {
+  it('shifts dates by days, weeks and months, clamping month ends', () => {
+    assert.equal(shiftIsoDate('2026-03-30', '+2d'), '2026-04-01');
+    assert.equal(shiftIsoDate('2026-03-30', '-1w'), '2026-03-23');
+    assert.equal(shiftIsoDate('2026-01-31', '+1m'), '2026-02-28');
+  });
+
+  it('shifts by the exact amount in time zones east of UTC', () => {
+    withTimeZone('Europe/Berlin', () => {
+      assert.equal(shiftIsoDate('2026-10-19', '+2d'), '2026-10-21');
+      assert.equal(shiftIsoDate('2026-03-01', '+1m'), '2026-04-01');
+      assert.equal(shiftIsoDate('2026-03-28', '+1d'), '2026-03-29'); // DST starts on the 29th
+    });
+    withTimeZone('Pacific/Auckland', () => {
+      assert.equal(shiftIsoDate('2026-12-31T23:00:00+13:00', '+1d'), '2027-01-01T23:00:00+13:00');
+    });
+  });
+
+  it('keeps the time part and rejects invalid input', () => {
+    assert.equal(shiftIsoDate('2026-03-30T09:00:00.000Z', '+1d'), '2026-03-31T09:00:00.000Z');
+    assert.equal(shiftIsoDate('soon', '+1d'), null);
+    assert.equal(shiftIsoDate('2026-03-30', 'later'), null);
+  });
+});
+
+describe('clearPropValue', () => {
+  it('empties lists and nulls scalar values', () => {
+    assert.deepEqual(clearPropValue('multi_select'), { multi_select: [] });
+    assert.deepEqual(clearPropValue('rich_text'), { rich_text: [] });
+    assert.deepEqual(clearPropValue('number'), { number: null });
+    assert.deepEqual(clearPropValue('date'), { date: null });
+    assert.deepEqual(clearPropValue('checkbox'), { checkbox: false });
+  });
+
+  it('refuses computed properties', () => {
+    assert.match(clearPropValue('formula').error, /cannot be cleared/);
+  });
+});
+
+describe('parsePropAssignment', () => {
+  const schema = {
+    name: { type: 'title', name: 'Name' },
+    count: { type: 'number', name: 'Count' },
+    tags: { type: 'multi_select', name: 'Tags' },
+    due: { type: 'date', name: 'Due' },
+    'c++': { type: 'checkbox', name: 'C++' },
+    'story points': { type: 'number', name: 'Story Points' },
+  };
+
+  it('finds kebab-case and squashed names like --filter does', () => {
+    const add = parsePropAssignment('story-points+=3', schema);
+    assert.equal(add.entry.name, 'Story Points');
+    assert.equal(add.op, 'add');
+    assert.equal(parsePropAssignment('StoryPoints-=1', schema).entry.name, 'Story Points');
+    assert.equal(parsePropAssignment('story_points=5', schema).op, 'set');
+  });
+
+  it('parses sets, clears and relative updates', () => {
+    assert.equal(parsePropAssignment('Name=Ship it', schema).op, 'set');
+    assert.equal(parsePropAssignment('Name=', schema).op, 'clear');
+    const add = parsePropAssignment('Count+=2', schema);
+    assert.equal(add.entry.name, 'Count');
+    assert.equal(add.op, 'add');
+    assert.equal(add.value, '2');
+    assert.equal(parsePropAssignment('tags-=stale', schema).op, 'remove');
+    assert.equal(parsePropAssignment('Due+=2d', schema).op, 'add');
+  });
+
+  it('matches property names ending in + before the operator', () => {
+    const result = parsePropAssignment('C++=true', schema);
+    assert.equal(result.entry.name, 'C++');
+    assert.equal(result.op, 'set');
+  });
+
+  it('rejects unknown properties, unsupported types and bad operands', () => {
+    assert.deepEqual(parsePropAssignment('Nope+=1', schema).available, ['Name', 'Count', 'Tags', 'Due', 'C++', 'Story Points']);
+    assert.match(parsePropAssignment('Name+=x', schema).error, /does not support \+=/);
+    assert.match(parsePropAssignment('Count+=many', schema).error, /Invalid number/);
+    assert.match(parsePropAssignment('Due+=soon', schema).error, /Invalid date offset/);
+    assert.match(parsePropAssignment('Tags+=', schema).error, /Missing value/);
+    assert.match(parsePropAssignment('Count', schema).error, /Invalid property format/);
+  });
+});
+
+describe('applyRelativeUpdate', () => {
+  it('adds to and subtracts from numbers, treating empty as 0', () => {
+    assert.deepEqual(applyRelativeUpdate('number', { number: 0.1 }, 'add', '0.2'), { number: 0.3 });
+    assert.deepEqual(applyRelativeUpdate('number', { number: null }, 'remove', '1'), { number: -1 });
+  });
+
+  it('adds and removes multi_select options without duplicates', () => {
+    const current = { multi_select: [{ id: 'x', name: 'stale', color: 'red' }, { name: 'ops' }] };
+    assert.deepEqual(applyRelativeUpdate('multi_select', current, 'add', 'urgent, Ops'),
+      { multi_select: [{ name: 'stale' }, { name: 'ops' }, { name: 'urgent' }] });
+    assert.deepEqual(applyRelativeUpdate('multi_select', current, 'remove', 'STALE'),
+      { multi_select: [{ name: 'ops' }] });
+  });
+
+  it('adds and removes relation and people IDs', () => {
+    const current = { relation: [{ id: 'aaaa-1' }] };
+    assert.deepEqual(applyRelativeUpdate('relation', current, 'add', ['aaaa1', 'bbbb-2']),
+      { relation: [{ id: 'aaaa-1' }, { id: 'bbbb-2' }] });
+    assert.deepEqual(applyRelativeUpdate('people', { people: [{ object: 'user', id: 'u1' }] }, 'remove', ['u1']),
+      { people: [] });
+  });
+
+  it('shifts both ends of a date range', () => {
+    const current = { date: { start: '2026-03-30', end: '2026-04-02', time_zone: null } };
+    assert.deepEqual(applyRelativeUpdate('date', current, 'remove', '1w'),
+      { date: { start: '2026-03-23', end: '2026-03-26', time_zone: null } });
+    assert.match(applyRelativeUpdate('date', { date: null }, 'add', '2d').error, /no date/);
+  });
+});
+
+// ─── Row templates ─────────────────────────────────────────────────────────────
+
+describe('formatDateValue', () => {
+  it('formats dates with tokens and [literal] text', () => {
+    assert.equal(formatDateValue('2025-02-05', 'MMM D'), 'Feb 5');
+    assert.equal(formatDateValue('2025-02-05', 'dddd, MMMM DD YYYY'), 'Wednesday, February 05 2025');
+    assert.equal(formatDateValue('2025-02-05', '[Week of] M/D/YY'), 'Week of 2/5/25');
+  });
+
+  it('keeps the written time and offset', () => {
+    assert.equal(formatDateValue('2025-02-05T21:07:00.000-08:00', 'YYYY-MM-DD h:mm a'), '2025-02-05 9:07 pm');
+    assert.equal(formatDateValue('2025-02-05T00:30:00Z', 'HH:mm A'), '00:30 AM');
+  });
+
+  it('returns non-dates unchanged', () => {
+    assert.equal(formatDateValue('soon', 'MMM D'), 'soon');
+  });
+});
+
+describe('compileTemplate', () => {
+  const row = { id: 'p1', Name: 'Ship it', Due: '2025-02-12', 'Assigned To': '', Notes: 'A long note here' };
+
+  it('substitutes fields and chains filters', () => {
+    const { render, fields } = compileTemplate('- [ ] {{Name | upper}} (due {{Due | date:"MMM D"}}) @{{Assigned To | default:"nobody"}}');
+    assert.equal(render(row), '- [ ] SHIP IT (due Feb 12) @nobody');
+    assert.deepEqual(fields, ['Name', 'Due', 'Assigned To']);
+  });
+
+  it('matches field names loosely', () => {
+    assert.equal(compileTemplate('{{name}}/{{assigned-to|default:x}}/{{ID}}').render(row), 'Ship it/x/p1');
+  });
+
+  it('truncates, trims and formats date ranges', () => {
+    assert.equal(compileTemplate('{{Notes | truncate:6}}').render(row), 'A lon…');
+    assert.equal(compileTemplate('{{Due | date:"D MMM"}}').render({ Due: '2025-02-12 → 2025-02-14' }), '12 Feb → 14 Feb');
+    assert.equal(compileTemplate('[{{Name|trim|lower}}]').render({ Name: '  Hi ' }), '[hi]');
+  });
+
+  it('keeps "|" and ":" inside quoted filter arguments', () => {
+    assert.equal(compileTemplate('{{Name | default:"a|b: c"}}').render({}), 'a|b: c');
+  });
+
+  it('returns errors for unknown filters and templates without fields', () => {
+    assert.match(compileTemplate('{{Name | shout}}').error, /Unknown template filter "shout"/);
+    assert.match(compileTemplate('no fields').error, /no \{\{fields\}\}/);
+    assert.match(compileTemplate('{{ }}').error, /Empty field/);
+  });
+});
+
+describe('findUnknownFields', () => {
+  it('lists fields that match no available column', () => {
+    const compiled = compileTemplate('{{Name}} {{due date}} {{Nmae}}');
+    assert.deepEqual(findUnknownFields(compiled, ['id', 'Name', 'Due Date']), ['Nmae']);
+  });
+});
+
+describe('templateFormat', () => {
+  it('renders one line per row and prints nothing for no rows', () => {
+    const spec = templateFormat(compileTemplate('{{id}}: {{Name}}'));
+    assert.equal(spec.row({ id: 'p1', Name: 'A' }), 'p1: A');
+    assert.equal(spec.empty, '');
+  });
+});
+
 // ─── withRetry ────────────────────────────────────────────────────────────────
 
 describe('withRetry', () => {
@@ -1361,4 +2817,248 @@ describe('withRetry', () => {
 
     assert.equal(calls, 1);
   });
+
+  function failingTwice(err) {
+    let calls = 0;
+    const fn = async () => {
+      calls += 1;
+      if (calls < 3) throw err;
+      return 'ok';
+    };
+    return { fn, calls: () => calls };
+  }
+
+  const quiet = { jitter: false, sleep: async () => {}, onRetry: () => {} };
+
+  it('retries server and network errors only for idempotent calls', async () => {
+    const serverError = Object.assign(new Error('Unavailable'), { status: 503, code: 'service_unavailable' });
+    const read = failingTwice(serverError);
+    assert.equal(await withRetry(read.fn, { ...quiet, idempotent: true }), 'ok');
+    assert.equal(read.calls(), 3);
+
+    const write = failingTwice(serverError);
+    await assert.rejects(() => withRetry(write.fn, quiet), /Unavailable/);
+    assert.equal(write.calls(), 1);
+
+    const reset = Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } });
+    const network = failingTwice(reset);
+    assert.equal(await withRetry(network.fn, { ...quiet, idempotent: true }), 'ok');
+  });
+
+  it('waits as long as Retry-After says', async () => {
+    const delays = [];
+    const err = Object.assign(rateLimitError(), { headers: new Map([['retry-after', '7']]) });
+    const { fn } = failingTwice(err);
+    await withRetry(fn, { ...quiet, sleep: async ms => { delays.push(ms); } });
+    assert.deepEqual(delays, [7000, 7000]);
+  });
+
+  it('gives up when the next wait would exceed the time budget', async () => {
+    let clock = 0;
+    const { fn, calls } = failingTwice(rateLimitError());
+    await assert.rejects(
+      () => withRetry(fn, {
+        ...quiet,
+        baseDelayMs: 1000,
+        budgetMs: 2500,
+        now: () => clock,
+        sleep: async ms => { clock += ms; },
+      }),
+      /Rate limited/,
+    );
+    assert.equal(calls(), 2);
+  });
+});
+
+describe('getRetryReason', () => {
+  it('always retries rate limits', () => {
+    assert.equal(getRetryReason({ status: 429, code: 'rate_limited' }), 'Rate limited');
+  });
+
+  it('retries 5xx, conflicts and network errors only when idempotent', () => {
+    const cases = [
+      { status: 500, code: 'internal_server_error' },
+      { status: 504 },
+      { status: 409, code: 'conflict_error' },
+      { code: 'ETIMEDOUT' },
+      { code: 'notionhq_client_request_timeout' },
+    ];
+    for (const err of cases) {
+      assert.ok(getRetryReason(err, { idempotent: true }), JSON.stringify(err));
+      assert.equal(getRetryReason(err), null, JSON.stringify(err));
+    }
+  });
+
+  it('does not retry client errors', () => {
+    assert.equal(getRetryReason({ status: 400, code: 'validation_error' }, { idempotent: true }), null);
+    assert.equal(getRetryReason({ status: 501 }, { idempotent: true }), null);
+    assert.equal(getRetryReason(null), null);
+  });
+});
+
+describe('getRetryAfterMs', () => {
+  it('reads seconds from Headers-like objects and plain objects', () => {
+    assert.equal(getRetryAfterMs({ headers: new Map([['retry-after', '2']]) }), 2000);
+    assert.equal(getRetryAfterMs({ headers: { 'retry-after': '0.5' } }), 500);
+  });
+
+  it('reads HTTP dates relative to now', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    assert.equal(getRetryAfterMs({ headers: { 'retry-after': 'Thu, 01 Jan 2026 00:00:03 GMT' } }, now), 3000);
+  });
+
+  it('returns null without a usable header', () => {
+    assert.equal(getRetryAfterMs({}), null);
+    assert.equal(getRetryAfterMs({ headers: { 'retry-after': 'soon' } }), null);
+    assert.equal(getRetryAfterMs({ headers: { 'retry-after': '-1' } }), null);
+  });
+});
+
+describe('resolveRetryPolicy', () => {
+  it('uses defaults when nothing is set', () => {
+    assert.deepEqual(resolveRetryPolicy(), { maxAttempts: 3, baseDelayMs: 1000, budgetMs: 60000 });
+  });
+
+  it('prefers flags over env over workspace config', () => {
+    const policy = resolveRetryPolicy({
+      flags: { retryAttempts: '2' },
+      env: { NOTION_RETRY_ATTEMPTS: '4', NOTION_RETRY_DELAY_MS: '250' },
+      config: { attempts: 8, delayMs: 500, budgetSeconds: 10 },
+    });
+    assert.deepEqual(policy, { maxAttempts: 2, baseDelayMs: 250, budgetMs: 10000 });
+  });
+
+  it('names the source of an invalid value', () => {
+    assert.match(resolveRetryPolicy({ flags: { retryAttempts: '1.5' } }).error, /--retry-attempts "1\.5"/);
+    assert.match(resolveRetryPolicy({ env: { NOTION_RETRY_BUDGET: '-1' } }).error, /NOTION_RETRY_BUDGET/);
+    assert.match(resolveRetryPolicy({ config: { delayMs: 'x' } }).error, /retry\.delayMs/);
+  });
+});
+
+// ─── API call tracing ─────────────────────────────────────────────────────────
+
+describe('isDebugEnabled', () => {
+  it('treats NOTION_DEBUG=1/true as on and 0/false/empty as off', () => {
+    assert.equal(isDebugEnabled('1'), true);
+    assert.equal(isDebugEnabled('true'), true);
+    assert.equal(isDebugEnabled('0'), false);
+    assert.equal(isDebugEnabled('False'), false);
+    assert.equal(isDebugEnabled(''), false);
+    assert.equal(isDebugEnabled(undefined), false);
+  });
+});
+
+describe('redactParams', () => {
+  it('hides secrets and file contents', () => {
+    const params = { auth: 'ntn_secret', file: { filename: 'a.png', data: Buffer.from('abcd') }, page_id: 'p1' };
+    assert.deepEqual(redactParams(params), { auth: '[redacted]', file: { filename: 'a.png', data: '[4 bytes]' }, page_id: 'p1' });
+  });
+
+  it('truncates long strings and arrays', () => {
+    const result = redactParams({ text: 'x'.repeat(250), children: Array.from({ length: 12 }, (_, i) => i) });
+    assert.equal(result.text, `${'x'.repeat(200)}…(250 chars)`);
+    assert.deepEqual(result.children, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, '…2 more']);
+  });
+});
+
+describe('formatTraceLine', () => {
+  it('shows method, endpoint, outcome, duration, attempt and params', () => {
+    const line = formatTraceLine({
+      id: 3, method: 'pages.update', http: 'PATCH /v1/pages/p1', status: 409, error: 'conflict_error',
+      duration_ms: 120, attempt: 2, params: { page_id: 'p1' },
+    });
+    assert.equal(line, '[notion] #3 pages.update PATCH /v1/pages/p1 → 409 conflict_error 120ms (attempt 2) {"page_id":"p1"}');
+  });
+});
+
+describe('createTracer', () => {
+  it('is null when tracing is off', () => {
+    assert.equal(createTracer(), null);
+  });
+
+  it('logs each attempt with the HTTP details the tracing fetch saw', async () => {
+    const lines = [];
+    let clock = 1000;
+    const tracer = createTracer({ verbose: true, log: line => lines.push(line), now: () => clock });
+    const tracedFetch = createTracingFetch(async () => {
+      clock += 42;
+      return { status: 200 };
+    });
+    const id = tracer.nextId();
+    const result = await tracer.attempt(
+      { id, method: 'pages.retrieve', params: { page_id: 'p1' }, attempt: 1 },
+      () => tracedFetch('https://api.notion.com/v1/pages/p1', { method: 'get' }),
+    );
+    assert.deepEqual(result, { status: 200 });
+    assert.deepEqual(lines, ['[notion] #1 pages.retrieve GET /v1/pages/p1 → 200 42ms {"page_id":"p1"}']);
+  });
+
+  it('records the error of a failed attempt and rethrows it', async () => {
+    const lines = [];
+    const tracer = createTracer({ verbose: true, log: line => lines.push(line), now: () => 0 });
+    const err = Object.assign(new Error('Rate limited'), { status: 429, code: 'rate_limited' });
+    await assert.rejects(
+      () => tracer.attempt({ id: 1, method: 'search', params: {}, attempt: 1 }, async () => { throw err; }),
+      /Rate limited/,
+    );
+    assert.match(lines[0], /search → 429 rate_limited 0ms/);
+  });
+});
+
+// ─── Cassettes ────────────────────────────────────────────────────────────────
+
+describe('stableStringify', () => {
+  it('sorts object keys at every level and drops undefined values', () => {
+    assert.equal(
+      stableStringify({ b: 1, a: { d: [{ z: 1, y: 2 }], c: undefined } }),
+      '{"a":{"d":[{"y":2,"z":1}]},"b":1}',
+    );
+    assert.equal(stableStringify(undefined), 'null');
+  });
+});
+
+describe('createPlayer', () => {
+  const interactions = [
+    { method: 'pages.retrieve', params: { page_id: 'p1' }, response: { id: 'p1', n: 1 } },
+    { method: 'pages.retrieve', params: { page_id: 'p1' }, response: { id: 'p1', n: 2 } },
+    { method: 'pages.retrieve', params: { page_id: 'p2' }, response: { id: 'p2' } },
+    { method: 'pages.create', params: { parent: { page_id: 'p1' } }, error: { name: 'APIResponseError', message: 'Bad', status: 400, code: 'validation_error', body: { message: 'Bad' } } },
+  ];
+
+  it('matches on method and params regardless of key order', () => {
+    const player = createPlayer([{ method: 'search', params: { query: 'x', page_size: 10 }, response: { results: [] } }]);
+    assert.deepEqual(player.play('search', { page_size: 10, query: 'x' }), { results: [] });
+  });
+
+  it('answers identical calls in recorded order, then repeats the last', () => {
+    const player = createPlayer(interactions);
+    assert.equal(player.play('pages.retrieve', { page_id: 'p1' }).n, 1);
+    assert.equal(player.play('pages.retrieve', { page_id: 'p1' }).n, 2);
+    assert.equal(player.play('pages.retrieve', { page_id: 'p1' }).n, 2);
+  });
+
+  it('returns copies, so callers cannot change the recording', () => {
+    const player = createPlayer(interactions.slice(2, 3));
+    player.play('pages.retrieve', { page_id: 'p2' }).id = 'changed';
+    assert.equal(player.play('pages.retrieve', { page_id: 'p2' }).id, 'p2');
+  });
+
+  it('rethrows recorded errors as API errors', () => {
+    const player = createPlayer(interactions);
+    assert.throws(
+      () => player.play('pages.create', { parent: { page_id: 'p1' } }),
+      err => err.name === 'APIResponseError' && err.status === 400 && err.code === 'validation_error',
+    );
+  });
+
+  it('explains mismatches with the recorded params for that method', () => {
+    const player = createPlayer(interactions, { source: 'live.ndjson' });
+    assert.throws(
+      () => player.play('pages.retrieve', { page_id: 'p9' }),
+      err => err.code === 'cassette_mismatch'
+        && err.message.includes('No recorded response in live.ndjson for pages.retrieve {"page_id":"p9"}')
+        && err.message.includes('{"page_id":"p2"}'),
+    );
+    assert.throws(() => player.play('users.list', {}), /The cassette has no users\.list calls/);
+  });
 });